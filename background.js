@@ -1,8 +1,29 @@
 /**
  * Background Script for AI Job Applier
- * Handles extension lifecycle and message passing
+ * Handles extension lifecycle and runs the job pipeline
  */
 
+importScripts(
+    'lib/logger.js',
+    'lib/llm-providers.js',
+    'lib/ai-response.js',
+    'lib/analysis-cache.js',
+    'lib/auto-apply.js',
+    'lib/pacer.js',
+    'lib/usage.js',
+    'lib/content-client.js',
+    'lib/saved-searches.js',
+    'lib/profiles.js',
+    'lib/cv-variants.js',
+    'lib/cover-letter.js',
+    'lib/queue-io.js',
+    'lib/job-status.js',
+    'lib/job-metadata.js',
+    'lib/local-scorer.js',
+    'lib/rules.js',
+    'lib/pipeline.js'
+);
+
 // Extension installation/update handler
 chrome.runtime.onInstalled.addListener((details) => {
     console.log('AI Job Applier extension installed/updated');
@@ -42,94 +63,69 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
     }
 });
 
-// Keep application running even when popup is closed
-let applicationState = {
-    isProcessing: false,
-    currentJob: null,
-    jobQueue: [],
-    processTimeout: null
-};
+// Popups currently connected; each gets every pipeline update
+const popupPorts = new Set();
 
-// Persist application state
-chrome.storage.local.get(['applicationState']).then(result => {
-    if (result.applicationState) {
-        applicationState = { ...applicationState, ...result.applicationState };
-        console.log('Restored application state:', applicationState);
+const logger = new Logger('background_logs');
+const pipeline = new JobPipeline({
+    logger,
+    contentClient: new ContentClient(logger),
+    onChange: (snapshot) => {
+        popupPorts.forEach(port => port.postMessage({ type: 'PIPELINE_STATE', ...snapshot }));
     }
 });
 
-function saveApplicationState() {
-    chrome.storage.local.set({ applicationState });
-}
+// Restore the checkpoint and continue any work the previous worker left unfinished
+// Saved search alarms are re-synced in case they were lost, e.g. after an update
+const pipelineReady = pipeline.load()
+    .then(() => syncSavedSearchAlarms(pipeline.savedSearches))
+    .then(() => pipeline.resume())
+    .catch(error => logger.error('Failed to restore pipeline', error));
 
-// Continue processing jobs even when popup is closed
-function continueProcessing() {
-    if (!applicationState.isProcessing || !applicationState.currentJob) {
-        return;
-    }
-    
-    console.log('Continuing job processing in background for:', applicationState.currentJob.jobTitle);
-    
-    // Set timeout to continue processing
-    applicationState.processTimeout = setTimeout(() => {
-        // Notify popup to continue if it's open
-        chrome.runtime.sendMessage({
-            type: 'CONTINUE_PROCESSING',
-            job: applicationState.currentJob
-        }).catch(() => {
-            // Popup not open, continue in background
-            console.log('Popup closed, continuing processing in background');
-        });
-    }, 5000);
-}
+// The popup is a view: it subscribes to state updates and sends commands
+chrome.runtime.onConnect.addListener((port) => {
+    if (port.name !== 'pipeline') return;
 
-// Message handling for communication between popup and content scripts
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-    console.log('Background received message:', message);
-    
-    // Handle application state updates
-    if (message.type === 'UPDATE_APPLICATION_STATE') {
-        applicationState = { ...applicationState, ...message.state };
-        saveApplicationState();
-        
-        if (applicationState.isProcessing) {
-            continueProcessing();
+    popupPorts.add(port);
+    port.onDisconnect.addListener(() => popupPorts.delete(port));
+
+    port.onMessage.addListener(async (message) => {
+        if (message.type !== 'PIPELINE_COMMAND') return;
+
+        await pipelineReady;
+        try {
+            await pipeline.handleCommand(message);
+        } catch (error) {
+            logger.error('Pipeline command failed', error);
+            pipeline.setStatus(`Command failed: ${error.message}`, 'error');
         }
-        
-        sendResponse({ success: true });
-        return true;
-    }
-    
-    // Handle processing continuation
-    if (message.type === 'GET_APPLICATION_STATE') {
-        sendResponse({ state: applicationState });
-        return true;
-    }
-    
-    // Forward messages to popup if needed
-    if (message.type === 'JOBS_SCRAPED' || 
-        message.type === 'JOB_DESCRIPTION_SCRAPED' || 
-        message.type === 'APPLICATION_SUBMITTED') {
-        
-        // Store message temporarily for popup to retrieve
-        chrome.storage.local.set({
-            [`temp_message_${Date.now()}`]: message
-        });
-    }
-    
-    return true; // Keep message channel open for async responses
+    });
+
+    pipelineReady.then(() => port.postMessage({ type: 'PIPELINE_STATE', ...pipeline.snapshot() }));
 });
 
-// Alarm handler for scheduled tasks (if needed in future)
-chrome.alarms.onAlarm.addListener((alarm) => {
+// Alarm handler for scheduled tasks
+chrome.alarms.onAlarm.addListener(async (alarm) => {
     console.log('Alarm triggered:', alarm.name);
     
     switch (alarm.name) {
-        case 'checkJobStatus':
-            // Could be used for periodic status checks
+        case PIPELINE_KEEPALIVE_ALARM:
+            // Waking the worker is enough; resume() picks up work if it had been stopped
+            await pipelineReady;
+            await pipeline.resume();
             break;
-        default:
+        case PIPELINE_NEXT_ACTION_ALARM:
+            await pipelineReady;
+            await pipeline.runScheduledAction();
             break;
+        default: {
+            const searchId = savedSearchIdFromAlarm(alarm.name);
+            if (searchId) {
+                await pipelineReady;
+                await pipeline.runSavedSearch(searchId);
+            }
+            break;
+        }
     }
 });
 
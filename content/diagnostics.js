@@ -0,0 +1,49 @@
+/**
+ * Diagnostics content module for AI Job Applier
+ * Reports which selector registry entries match on the current page
+ */
+
+/**
+ * Visible elements for the first selector of an entry that matches anything visible
+ */
+FreddContent.visibleMatches = (key) => {
+    for (const selector of LINKEDIN_SELECTORS.entries[key].selectors) {
+        const elements = Array.from(document.querySelectorAll(selector)).filter(FreddContent.isVisible);
+        if (elements.length) return elements;
+    }
+    return [];
+};
+
+/**
+ * Match count of every selector of every registry entry
+ * @returns {Promise<Object[]>} One report item per entry: key, area, label, scope, scopeFound, matched, results
+ */
+FreddContent.actions.diagnoseSelectors = async () => {
+    // Scoped entries are checked inside the cards or the open Easy Apply modal
+    const scopes = {
+        card: FreddContent.visibleMatches('card'),
+        modal: FreddContent.visibleMatches('modal').slice(0, 1)
+    };
+
+    return Object.entries(LINKEDIN_SELECTORS.entries).map(([key, entry]) => {
+        const roots = entry.scope ? scopes[entry.scope] : [document];
+        const results = entry.selectors.map(selector => {
+            try {
+                const count = roots.reduce((total, root) => total + root.querySelectorAll(selector).length, 0);
+                return { selector, count };
+            } catch (error) {
+                return { selector, count: 0, invalid: true };
+            }
+        });
+
+        return {
+            key,
+            area: entry.area,
+            label: entry.label,
+            scope: entry.scope || null,
+            scopeFound: roots.length > 0,
+            matched: results.find(result => result.count > 0) || null,
+            results
+        };
+    });
+};
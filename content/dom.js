@@ -0,0 +1,103 @@
+/**
+ * DOM helpers for AI Job Applier content scripts
+ * Shared by every content module; injected once per page together with lib/selectors.js
+ */
+
+const FreddContent = {
+    actions: {}
+};
+
+/**
+ * First element matching a registry entry, trying its selectors in order
+ */
+FreddContent.queryFirst = (root, key) => {
+    for (const selector of LINKEDIN_SELECTORS.entries[key].selectors) {
+        const element = root.querySelector(selector);
+        if (element) return element;
+    }
+    return null;
+};
+
+/**
+ * All elements matching the first selector of a registry entry that matches anything
+ */
+FreddContent.queryAll = (root, key) => {
+    for (const selector of LINKEDIN_SELECTORS.entries[key].selectors) {
+        const elements = root.querySelectorAll(selector);
+        if (elements.length) return Array.from(elements);
+    }
+    return [];
+};
+
+/**
+ * A registry entry's selectors joined into one selector list
+ */
+FreddContent.anyOf = (key) => LINKEDIN_SELECTORS.entries[key].selectors.join(', ');
+
+FreddContent.isVisible = (element) => !!element && element.offsetParent !== null;
+
+/**
+ * Resolve with the first truthy result of check(), re-evaluated on every DOM mutation
+ * Resolves with null when the timeout passes first
+ */
+FreddContent.waitFor = (check, { timeout = 10000, root = document.documentElement } = {}) => {
+    return new Promise(resolve => {
+        const initial = check();
+        if (initial) {
+            resolve(initial);
+            return;
+        }
+
+        let settled = false;
+        const finish = (result) => {
+            if (settled) return;
+            settled = true;
+            observer.disconnect();
+            clearTimeout(timer);
+            resolve(result);
+        };
+
+        const observer = new MutationObserver(() => {
+            const result = check();
+            if (result) finish(result);
+        });
+        const timer = setTimeout(() => finish(check() || null), timeout);
+
+        observer.observe(root, { childList: true, subtree: true, attributes: true, characterData: true });
+    });
+};
+
+/**
+ * Resolve once root has had no DOM mutations for quietPeriod ms (or the timeout passes)
+ */
+FreddContent.waitForQuiet = (root = document.documentElement, { quietPeriod = 400, timeout = 4000 } = {}) => {
+    return new Promise(resolve => {
+        let quietTimer = null;
+        const finish = () => {
+            observer.disconnect();
+            clearTimeout(quietTimer);
+            clearTimeout(timer);
+            resolve();
+        };
+
+        const observer = new MutationObserver(() => {
+            clearTimeout(quietTimer);
+            quietTimer = setTimeout(finish, quietPeriod);
+        });
+        const timer = setTimeout(finish, timeout);
+        quietTimer = setTimeout(finish, quietPeriod);
+
+        observer.observe(root, { childList: true, subtree: true, attributes: true });
+    });
+};
+
+/**
+ * Set a form field's value through the native setter so the page's framework sees the change
+ */
+FreddContent.setFieldValue = (field, value) => {
+    const prototype = field instanceof HTMLTextAreaElement ? HTMLTextAreaElement.prototype :
+                      field instanceof HTMLSelectElement ? HTMLSelectElement.prototype : HTMLInputElement.prototype;
+    Object.getOwnPropertyDescriptor(prototype, 'value').set.call(field, value);
+    field.dispatchEvent(new Event('input', { bubbles: true }));
+    field.dispatchEvent(new Event('change', { bubbles: true }));
+};
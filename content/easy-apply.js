@@ -0,0 +1,276 @@
+/**
+ * Easy Apply content module for AI Job Applier
+ * Handles one page of the Easy Apply wizard per request
+ */
+
+/**
+ * The visible Easy Apply modal, if open
+ */
+FreddContent.findEasyApplyModal = () => {
+    return Array.from(document.querySelectorAll(FreddContent.anyOf('modal'))).find(FreddContent.isVisible);
+};
+
+FreddContent.readStepProgress = (modal) => {
+    const element = modal && FreddContent.queryFirst(modal, 'progress');
+    return element?.getAttribute('aria-valuenow') || element?.value || null;
+};
+
+/**
+ * Pick the matching previously uploaded resume, or attach the stored file
+ * @returns {Promise<{ resumeUsed: Object|null, error?: string }>}
+ */
+FreddContent.handleResume = async (modal, resume) => {
+    const { queryFirst, anyOf, waitFor } = FreddContent;
+
+    const resumeCards = Array.from(modal.querySelectorAll(anyOf('resumeCard')));
+    const resumeInput = Array.from(modal.querySelectorAll('input[type="file"]')).find(input => {
+        const label = `${input.id} ${input.name} ${input.closest('div')?.textContent || ''}`;
+        return !/cover/i.test(label);
+    });
+
+    if (!resume || (resumeCards.length === 0 && !resumeInput)) {
+        return { resumeUsed: null };
+    }
+
+    const cardName = (card) => queryFirst(card, 'resumeName')?.textContent?.trim();
+    const matchingCard = resumeCards.find(card => cardName(card) === resume.name);
+
+    if (matchingCard) {
+        const isSelected = matchingCard.matches('[class*="--selected"], [aria-checked="true"]') ||
+                           !!matchingCard.querySelector('input[type="radio"]:checked');
+        if (!isSelected) {
+            (matchingCard.querySelector('input[type="radio"], label, button') || matchingCard).click();
+        }
+        return { resumeUsed: { name: resume.name, method: 'selected' } };
+    }
+
+    if (!resumeInput) {
+        return { resumeUsed: null };
+    }
+
+    const blob = await (await fetch(resume.dataUrl)).blob();
+    const transfer = new DataTransfer();
+    transfer.items.add(new File([blob], resume.name, { type: resume.type }));
+    resumeInput.files = transfer.files;
+    resumeInput.dispatchEvent(new Event('change', { bubbles: true }));
+
+    const uploaded = await waitFor(() => Array.from(modal.querySelectorAll(anyOf('resumeName')))
+        .some(element => element.textContent.trim() === resume.name), { timeout: 15000, root: modal });
+
+    if (!uploaded) {
+        return { resumeUsed: null, error: `Uploading ${resume.name} did not finish` };
+    }
+
+    return { resumeUsed: { name: resume.name, method: 'uploaded' } };
+};
+
+/**
+ * Collect the screening questions on a wizard page with their input type and options
+ */
+FreddContent.collectQuestions = (modal) => {
+    const questionSelector = FreddContent.anyOf('questionGroup');
+    const coverLetterSelector = FreddContent.anyOf('coverLetter');
+
+    return Array.from(modal.querySelectorAll(questionSelector))
+        .filter(group => !group.parentElement.closest(questionSelector))
+        .filter(group => !group.querySelector(`input[type="file"], ${coverLetterSelector}`) && group.querySelector('input, select, textarea'))
+        .map(group => {
+            const select = group.querySelector('select');
+            const radios = Array.from(group.querySelectorAll('input[type="radio"]'));
+            const checkboxes = Array.from(group.querySelectorAll('input[type="checkbox"]'));
+            const textField = group.querySelector('textarea, input[type="text"], input[type="number"], input:not([type])');
+            const optionLabel = (input) => (group.querySelector(`label[for="${input.id}"]`)?.textContent || input.value).trim();
+            const label = (group.querySelector('legend, label, .fb-dash-form-element__label')?.textContent || '')
+                .trim().replace(/\s+/g, ' ');
+
+            let question;
+            if (select) {
+                const options = Array.from(select.options)
+                    .filter(option => option.value && !/^select an option$/i.test(option.textContent.trim()))
+                    .map(option => option.textContent.trim());
+                question = { type: 'select', field: select, options, answered: select.selectedIndex > 0 && !!select.value };
+            } else if (radios.length) {
+                question = { type: 'radio', field: radios[0], options: radios.map(optionLabel), answered: radios.some(radio => radio.checked) };
+            } else if (checkboxes.length) {
+                question = { type: 'checkbox', field: checkboxes[0], options: checkboxes.map(optionLabel), answered: checkboxes.some(checkbox => checkbox.checked) };
+            } else if (textField) {
+                const numeric = textField.type === 'number' || /numeric/i.test(textField.id);
+                question = { type: numeric ? 'numeric' : 'text', field: textField, options: [], answered: !!textField.value.trim() };
+            } else {
+                return null;
+            }
+
+            return {
+                ...question,
+                group,
+                id: question.field.name || question.field.id || label,
+                label,
+                required: !!group.querySelector('[required], [aria-required="true"]') || /\*\s*$/.test(label)
+            };
+        })
+        .filter(Boolean);
+};
+
+/**
+ * Fill in answers for questions that are still empty
+ */
+FreddContent.fillAnswers = (questions, answers) => {
+    questions.filter(question => !question.answered && answers[question.id] !== null && answers[question.id] !== undefined)
+        .forEach(question => {
+            const answer = answers[question.id];
+            const inputs = Array.from(question.group.querySelectorAll(`input[type="${question.type}"]`));
+            const inputFor = (value) => inputs.find(input =>
+                (question.group.querySelector(`label[for="${input.id}"]`)?.textContent || input.value).trim() === value
+            );
+
+            if (question.type === 'select') {
+                const option = Array.from(question.field.options).find(candidate => candidate.textContent.trim() === answer);
+                if (option) FreddContent.setFieldValue(question.field, option.value);
+            } else if (question.type === 'radio') {
+                inputFor(answer)?.click();
+            } else if (question.type === 'checkbox') {
+                answer.forEach(value => inputFor(value)?.click());
+            } else {
+                FreddContent.setFieldValue(question.field, String(answer));
+            }
+        });
+};
+
+/**
+ * Find the wizard page's primary button: registry selectors first, then its visible label
+ */
+FreddContent.findWizardButton = (modal, key) => {
+    const { queryFirst, isVisible } = FreddContent;
+    const bySelector = queryFirst(modal, key);
+    if (isVisible(bySelector)) return bySelector;
+
+    return Array.from(modal.querySelectorAll('button')).filter(isVisible).find(button => {
+        const text = `${button.getAttribute('aria-label') || ''} ${button.textContent}`.toLowerCase();
+        return LINKEDIN_SELECTORS.entries[key].labels.some(label => text.includes(label));
+    });
+};
+
+/**
+ * Validation errors shown on the current wizard page, prefixed with their field label
+ */
+FreddContent.collectFormErrors = (modal) => {
+    const questionSelector = FreddContent.anyOf('questionGroup');
+    return Array.from(modal.querySelectorAll(FreddContent.anyOf('formError')))
+        .filter(element => FreddContent.isVisible(element) && element.textContent.trim())
+        .map(element => {
+            const field = element.closest(questionSelector);
+            const label = field?.querySelector('label, legend')?.textContent?.trim();
+            const message = element.textContent.trim().replace(/\s+/g, ' ');
+            return label ? `${label}: ${message}` : message;
+        });
+};
+
+/**
+ * Run one page of the Easy Apply wizard
+ * Opens the modal if needed, fills the cover letter, resume and answers, then
+ * presses Next/Review/Submit and waits for the next page or validation errors.
+ * Returns questions instead of pressing anything when some have no answer yet.
+ * @returns {Promise<{ stepName: string, progress: string|null, action?: string, resumeUsed?: Object|null,
+ *   questions?: Object[], awaitingApproval?: boolean, submitted?: boolean, error?: string }>}
+ */
+FreddContent.actions.easyApplyStep = async ({ coverLetterText = '', answers = {}, holdBeforeSubmit = false, resume = null }) => {
+    const { queryFirst, waitFor, findEasyApplyModal, readStepProgress, collectFormErrors } = FreddContent;
+
+    let modal = findEasyApplyModal();
+    if (!modal) {
+        const easyApplyButton = await waitFor(() => queryFirst(document, 'easyApplyButton'), { timeout: 10000 });
+
+        if (!easyApplyButton) {
+            return { stepName: 'Open Easy Apply', error: 'Easy Apply button not found' };
+        }
+
+        easyApplyButton.click();
+        modal = await waitFor(findEasyApplyModal);
+
+        if (!modal) {
+            return { stepName: 'Open Easy Apply', error: 'Easy Apply dialog did not open' };
+        }
+    }
+
+    // Each page of the wizard has its own heading ("Contact info", "Resume", ...)
+    const stepName = queryFirst(modal, 'stepHeading')?.textContent?.trim() || 'Unknown step';
+    const progress = readStepProgress(modal);
+
+    const coverLetterField = queryFirst(modal, 'coverLetter');
+    if (coverLetterField && coverLetterText && !coverLetterField.value.trim()) {
+        FreddContent.setFieldValue(coverLetterField, coverLetterText);
+    }
+
+    const { resumeUsed, error: resumeError } = await FreddContent.handleResume(modal, resume);
+    if (resumeError) {
+        return { stepName, progress, error: resumeError };
+    }
+
+    const questions = FreddContent.collectQuestions(modal);
+    const unanswered = questions.filter(question => !question.answered && !(question.id in answers));
+    if (unanswered.length > 0) {
+        return {
+            stepName,
+            progress,
+            questions: unanswered.map(({ id, label, type, options, required }) => ({ id, label, type, options, required }))
+        };
+    }
+
+    FreddContent.fillAnswers(questions, answers);
+
+    const actions = [
+        ['submit', FreddContent.findWizardButton(modal, 'submitButton')],
+        ['review', FreddContent.findWizardButton(modal, 'reviewButton')],
+        ['next', FreddContent.findWizardButton(modal, 'nextButton')]
+    ];
+    const [action, button] = actions.find(([, candidate]) => candidate) || [];
+
+    if (!button) {
+        return { stepName, progress, error: 'No Next, Review or Submit button found' };
+    }
+
+    if (button.disabled) {
+        return { stepName, progress, action, error: `The ${action} button is disabled` };
+    }
+
+    if (action === 'submit' && holdBeforeSubmit) {
+        return { stepName, progress, action, resumeUsed, awaitingApproval: true };
+    }
+
+    button.click();
+
+    if (action === 'submit') {
+        const submitted = await waitFor(() => {
+            if (collectFormErrors(modal).length > 0) return 'errors';
+            const confirmation = Array.from(document.querySelectorAll('[role="dialog"], .artdeco-modal'))
+                .find(dialog => /application (was )?sent/i.test(dialog.textContent));
+            return confirmation || !findEasyApplyModal() ? 'sent' : null;
+        });
+
+        if (submitted !== 'sent') {
+            const errors = collectFormErrors(modal);
+            return { stepName, progress, action, error: errors.length ? `Validation failed: ${errors.join('; ')}` : 'No confirmation after submitting' };
+        }
+
+        queryFirst(document, 'dismissButton')?.click();
+        return { stepName, progress, action, resumeUsed, submitted: true };
+    }
+
+    // Wait for either validation errors or the next page of the wizard
+    const outcome = await waitFor(() => {
+        if (collectFormErrors(modal).length > 0) return 'errors';
+        const currentModal = findEasyApplyModal();
+        const currentStep = currentModal && queryFirst(currentModal, 'stepHeading')?.textContent?.trim();
+        return currentStep !== stepName || readStepProgress(currentModal) !== progress ? 'advanced' : null;
+    }, { timeout: 8000 });
+
+    if (outcome === 'errors') {
+        return { stepName, progress, action, resumeUsed, error: `Validation failed: ${collectFormErrors(modal).join('; ')}` };
+    }
+
+    if (!outcome) {
+        return { stepName, progress, action, resumeUsed, error: `The wizard did not move on after pressing ${action}` };
+    }
+
+    return { stepName, progress, action, resumeUsed };
+};
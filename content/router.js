@@ -0,0 +1,37 @@
+/**
+ * Message router for AI Job Applier content scripts
+ * Answers CONTENT_PING and dispatches CONTENT_REQUEST messages to FreddContent.actions.
+ * Loaded last, after every content module has registered its actions.
+ */
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.type === 'CONTENT_PING') {
+        sendResponse({ ready: true, version: LINKEDIN_SELECTORS.version });
+        return false;
+    }
+
+    if (message.type !== 'CONTENT_REQUEST') {
+        return false;
+    }
+
+    const { requestId, action, payload } = message;
+    const handler = FreddContent.actions[action];
+
+    if (!handler) {
+        sendResponse({ requestId, ok: false, error: `Unknown content action: ${action}` });
+        return false;
+    }
+
+    console.log(`📨 Content request ${action} (${requestId})`);
+
+    Promise.resolve()
+        .then(() => handler(payload || {}))
+        .then(result => sendResponse({ requestId, ok: true, result }))
+        .catch(error => {
+            console.error(`❌ Content action ${action} failed:`, error);
+            sendResponse({ requestId, ok: false, error: error.message || String(error) });
+        });
+
+    // Keep the channel open for the async response
+    return true;
+});
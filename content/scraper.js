@@ -0,0 +1,166 @@
+/**
+ * Scraper content module for AI Job Applier
+ * Reads job cards from search results and the description from a job posting
+ */
+
+/**
+ * Read one search result card; null when it has not rendered its content yet
+ */
+FreddContent.readJobCard = (card) => {
+    const titleElement = FreddContent.queryFirst(card, 'title');
+    const companyElement = FreddContent.queryFirst(card, 'company');
+    const locationElement = FreddContent.queryFirst(card, 'location');
+    const linkElement = FreddContent.queryFirst(card, 'link');
+
+    if (!titleElement || !linkElement) {
+        return null;
+    }
+
+    const jobUrl = linkElement.href;
+    const jobId = jobUrl.match(/\/jobs\/view\/(\d+)/)?.[1] ||
+                  linkElement.getAttribute('data-job-id') ||
+                  card.getAttribute('data-job-id') ||
+                  card.getAttribute('data-occludable-job-id') ||
+                  jobUrl.match(/jobId=(\d+)/)?.[1];
+
+    if (!jobId) {
+        console.log(`❌ No job ID found for: ${titleElement.textContent.trim()}`);
+        return null;
+    }
+
+    return {
+        jobTitle: titleElement.textContent.trim(),
+        company: companyElement?.textContent?.trim() || 'Unknown Company',
+        location: locationElement?.textContent?.replace(/\s+/g, ' ').trim() || null,
+        url: jobUrl,
+        post_id: jobId,
+        status: 'pending',
+        starred: false,
+        dateFound: new Date().toISOString()
+    };
+};
+
+/**
+ * Scrape every job on the current search results page
+ * The list is virtualized: cards only get their content once scrolled into view,
+ * so each card is brought into view and read once it has rendered.
+ * @returns {Promise<{ jobs: Object[], hasNextPage: boolean }>}
+ */
+FreddContent.actions.scrapeResultsPage = async () => {
+    const { queryFirst, queryAll, waitFor, waitForQuiet, readJobCard } = FreddContent;
+
+    const firstCard = await waitFor(() => queryFirst(document, 'card'), { timeout: 15000 });
+    if (!firstCard) {
+        return { jobs: [], hasNextPage: false };
+    }
+
+    let scrollContainer = firstCard.parentElement;
+    while (scrollContainer && scrollContainer !== document.body) {
+        const overflowY = getComputedStyle(scrollContainer).overflowY;
+        if (/(auto|scroll)/.test(overflowY) && scrollContainer.scrollHeight > scrollContainer.clientHeight) {
+            break;
+        }
+        scrollContainer = scrollContainer.parentElement;
+    }
+    const listRoot = scrollContainer && scrollContainer !== document.body ? scrollContainer : document.body;
+
+    const jobsById = new Map();
+    let idleRounds = 0;
+
+    for (let round = 0; round < 30 && idleRounds < 2; round++) {
+        const sizeBefore = jobsById.size;
+
+        for (const card of queryAll(document, 'card')) {
+            try {
+                let job = readJobCard(card);
+                if (!job) {
+                    card.scrollIntoView({ block: 'center' });
+                    job = await waitFor(() => readJobCard(card), { timeout: 1500, root: card });
+                }
+                if (job && !jobsById.has(job.post_id)) {
+                    jobsById.set(job.post_id, job);
+                    console.log(`✅ Added job: ${job.jobTitle} at ${job.company}`);
+                }
+            } catch (error) {
+                console.error('Error scraping job card:', error);
+            }
+        }
+
+        if (listRoot !== document.body) {
+            listRoot.scrollTop = listRoot.scrollHeight;
+        } else {
+            window.scrollTo(0, document.body.scrollHeight);
+        }
+        await waitForQuiet(listRoot, { quietPeriod: 500, timeout: 3000 });
+
+        idleRounds = jobsById.size === sizeBefore ? idleRounds + 1 : 0;
+    }
+
+    const pagination = queryFirst(document, 'pagination');
+    const nextControl = queryFirst(document, 'nextPage');
+
+    console.log(`Found ${jobsById.size} jobs on this results page`);
+
+    return {
+        jobs: Array.from(jobsById.values()),
+        hasNextPage: pagination ? !!nextControl : jobsById.size >= 25
+    };
+};
+
+/**
+ * Find the job description text on a job posting
+ */
+FreddContent.findJobDescription = () => {
+    const element = FreddContent.queryFirst(document, 'description');
+    if (element && element.textContent.trim()) {
+        return element.textContent.trim();
+    }
+
+    // Use "About the job" heading approach
+    const aboutJobElement = Array.from(document.querySelectorAll('h2, h3')).find(el =>
+        el.textContent && el.textContent.toLowerCase().includes('about the job')
+    );
+
+    if (aboutJobElement) {
+        // Get the parent container of the heading
+        let container = aboutJobElement.parentElement;
+        while (container && container !== document.body && !container.querySelector('span[tabindex="-1"], span[data-testid="expandable-text-box"]')) {
+            container = container.parentElement;
+        }
+
+        const expandableSpan = container?.querySelector('span[tabindex="-1"], span[data-testid="expandable-text-box"]');
+        if (expandableSpan && expandableSpan.textContent.trim()) {
+            return expandableSpan.textContent.trim();
+        }
+    }
+
+    // Alternative structure: hashed container classes holding the expandable text box
+    const structured = Array.from(document.querySelectorAll('div[class*="e47ea9c0"], div[class*="_2313fa67"]'))
+        .map(container => container.querySelector('span[tabindex="-1"][data-testid="expandable-text-box"]'))
+        .find(span => span && span.textContent.length > 100);
+
+    if (structured) {
+        return structured.textContent.trim();
+    }
+
+    // Last resort: any substantial expandable text
+    const expandableElement = Array.from(document.querySelectorAll('span[tabindex="-1"]'))
+        .find(element => element.textContent.trim().length > 200);
+
+    return expandableElement ? expandableElement.textContent.trim() : '';
+};
+
+/**
+ * Scrape the description of the job posting in this tab
+ * @returns {Promise<{ description: string }>}
+ */
+FreddContent.actions.scrapeJobDescription = async () => {
+    const description = await FreddContent.waitFor(FreddContent.findJobDescription, { timeout: 15000 });
+
+    if (!description) {
+        throw new Error('Could not find job description');
+    }
+
+    console.log('Description length:', description.length);
+    return { description };
+};
@@ -0,0 +1,193 @@
+/**
+ * AI Response Validation for AI Job Applier
+ * Declared schemas for LLM replies, with automatic repair of common formatting mistakes
+ */
+
+const ANALYSIS_SCHEMA = {
+    matchScore: { type: 'number', required: true, min: 0, max: 100, integer: true },
+    coverLetter: { type: 'string', required: true, minLength: 50, maxLength: 6000 }
+};
+
+const COVER_LETTER_SCHEMA = {
+    coverLetter: ANALYSIS_SCHEMA.coverLetter
+};
+
+const SCREENING_ANSWERS_SCHEMA = {
+    answers: { type: 'array', required: true }
+};
+
+/**
+ * Schema for scoring a posting against several CV variants in one reply
+ * The cover letter is written from the best-scoring variant
+ */
+function cvVariantAnalysisSchema(variantIds) {
+    return {
+        variantScores: {
+            type: 'array',
+            required: true,
+            minItems: variantIds.length,
+            items: {
+                variantId: { type: 'string', required: true, enum: variantIds },
+                score: { type: 'number', required: true, min: 0, max: 100, integer: true }
+            }
+        },
+        coverLetter: ANALYSIS_SCHEMA.coverLetter
+    };
+}
+
+/**
+ * Raised when a reply cannot be turned into data matching its schema
+ */
+class AIResponseError extends Error {
+    constructor(problems) {
+        super(`Invalid AI response: ${problems.join('; ')}`);
+        this.name = 'AIResponseError';
+        this.problems = problems;
+    }
+}
+
+/**
+ * Pull the JSON object out of a reply that may be wrapped in markdown fences or prose
+ */
+function extractJsonObject(text, fixes) {
+    let candidate = String(text || '').trim();
+
+    const fenced = candidate.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    if (fenced) {
+        candidate = fenced[1].trim();
+        fixes.push('removed markdown fences');
+    }
+
+    const start = candidate.indexOf('{');
+    const end = candidate.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+        throw new AIResponseError(['reply does not contain a JSON object']);
+    }
+    if (start > 0 || end < candidate.length - 1) {
+        candidate = candidate.slice(start, end + 1);
+        fixes.push('removed text around the JSON object');
+    }
+
+    try {
+        return JSON.parse(candidate);
+    } catch (error) {
+        // Smart quotes and trailing commas are the usual culprits
+        const repaired = candidate
+            .replace(/[“”]/g, '"')
+            .replace(/,\s*([}\]])/g, '$1');
+        try {
+            const parsed = JSON.parse(repaired);
+            fixes.push('repaired invalid JSON syntax');
+            return parsed;
+        } catch (repairError) {
+            throw new AIResponseError([`reply is not valid JSON (${error.message})`]);
+        }
+    }
+}
+
+/**
+ * Coerce one field to its declared type, recording fixes and problems
+ */
+function coerceField(name, value, rule, fixes, problems) {
+    if (value === undefined || value === null || value === '') {
+        if (rule.required) problems.push(`${name} is required`);
+        return value;
+    }
+
+    if (rule.type === 'number') {
+        let number = value;
+        if (typeof number === 'string') {
+            // "85", "85%" and "85/100" all mean 85
+            number = parseFloat(number.match(/-?\d+(\.\d+)?/)?.[0]);
+            fixes.push(`converted ${name} from text to a number`);
+        }
+        if (typeof number !== 'number' || !Number.isFinite(number)) {
+            problems.push(`${name} must be a number`);
+            return value;
+        }
+        if (rule.integer && !Number.isInteger(number)) {
+            number = Math.round(number);
+            fixes.push(`rounded ${name}`);
+        }
+        if (rule.min !== undefined && number < rule.min || rule.max !== undefined && number > rule.max) {
+            problems.push(`${name} must be between ${rule.min} and ${rule.max}, got ${number}`);
+        }
+        return number;
+    }
+
+    if (rule.type === 'string') {
+        if (typeof value !== 'string') {
+            problems.push(`${name} must be a string`);
+            return value;
+        }
+        const text = value.trim();
+        if (rule.enum && !rule.enum.includes(text)) {
+            problems.push(`${name} must be one of ${rule.enum.join(', ')}, got ${text}`);
+        }
+        if (rule.minLength && text.length < rule.minLength) {
+            problems.push(`${name} must be at least ${rule.minLength} characters`);
+        }
+        if (rule.maxLength && text.length > rule.maxLength) {
+            problems.push(`${name} must be at most ${rule.maxLength} characters`);
+        }
+        (rule.excludes || []).filter(phrase => text.toLowerCase().includes(phrase.toLowerCase())).forEach(phrase => {
+            problems.push(`${name} must not contain "${phrase}"`);
+        });
+        return text;
+    }
+
+    if (rule.type === 'array') {
+        if (!Array.isArray(value)) {
+            problems.push(`${name} must be an array`);
+            return value;
+        }
+        if (rule.minItems && value.length < rule.minItems) {
+            problems.push(`${name} must have at least ${rule.minItems} entries`);
+        }
+        if (rule.items) {
+            return value.map((item, index) => Object.fromEntries(Object.entries(rule.items).map(([field, itemRule]) => [
+                field,
+                coerceField(`${name}[${index}].${field}`, item?.[field], itemRule, fixes, problems)
+            ])));
+        }
+    }
+
+    return value;
+}
+
+/**
+ * Parse an LLM reply and validate it against a schema
+ * Returns { data, fixes } or throws AIResponseError listing what is wrong
+ */
+function parseAIResponse(text, schema) {
+    const fixes = [];
+    const parsed = extractJsonObject(text, fixes);
+    const problems = [];
+    const data = { ...parsed };
+
+    Object.entries(schema).forEach(([name, rule]) => {
+        data[name] = coerceField(name, parsed[name], rule, fixes, problems);
+    });
+
+    if (problems.length > 0) {
+        throw new AIResponseError(problems);
+    }
+
+    return { data, fixes };
+}
+
+/**
+ * Describe a schema for corrective re-prompts
+ */
+function describeSchema(schema) {
+    return Object.entries(schema).map(([name, rule]) => {
+        const limits = [];
+        if (rule.min !== undefined) limits.push(`${rule.min}-${rule.max}`);
+        if (rule.integer) limits.push('integer');
+        if (rule.minLength) limits.push(`${rule.minLength}-${rule.maxLength} characters`);
+        if (rule.enum) limits.push(`one of ${rule.enum.join(', ')}`);
+        if (rule.excludes?.length) limits.push(`without ${rule.excludes.map(phrase => `"${phrase}"`).join(', ')}`);
+        if (rule.items) limits.push(`entries with ${Object.keys(rule.items).join(', ')}`);
+        return `- ${name}: ${rule.type}${limits.length ? ` (${limits.join(', ')})` : ''}${rule.required ? ', required' : ''}`;
+    }).join('\n');
+}
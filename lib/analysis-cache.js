@@ -0,0 +1,53 @@
+/**
+ * Analysis Cache for AI Job Applier
+ * Reuses an earlier analysis when the same description is analyzed again with the same
+ * CV, criteria, cover letter settings, prompt version and model, so re-processing a job or
+ * a reposted listing costs no LLM call. The key is a hash of everything that goes into the
+ * request; changing any of those settings changes the key, so old entries are never used again
+ */
+
+// Bump when the analysis prompt or its schema changes, so earlier analyses are not reused
+const ANALYSIS_PROMPT_VERSION = 1;
+
+const ANALYSIS_CACHE_MAX_ENTRIES = 200;
+
+/**
+ * SHA-256 of the prompt version, provider, model and prompt
+ * The prompt carries the description, CV text, criteria and cover letter instructions
+ * @param {string} prompt
+ * @param {Object} llm - Provider description, as returned by LLMProvider.describe()
+ * @returns {Promise<string>} Hex digest
+ */
+async function analysisCacheKey(prompt, llm) {
+    const input = JSON.stringify([ANALYSIS_PROMPT_VERSION, llm.provider, llm.baseUrl, llm.model, prompt]);
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(input));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * The cached analysis for a key, marking it as used so it is kept over older entries
+ * @param {Object} cache - Entries keyed by analysisCacheKey
+ * @returns {{ data: Object, llm: Object, postId: string, createdAt: string, usedAt: string }|null}
+ */
+function getCachedAnalysis(cache, key) {
+    const entry = cache[key];
+    if (!entry) return null;
+
+    entry.usedAt = new Date().toISOString();
+    return entry;
+}
+
+/**
+ * Store an analysis, dropping the least recently used entries past the cap
+ */
+function storeCachedAnalysis(cache, key, { data, llm, postId }) {
+    const now = new Date().toISOString();
+    cache[key] = { data, llm, postId, createdAt: now, usedAt: now };
+
+    const keys = Object.keys(cache);
+    if (keys.length > ANALYSIS_CACHE_MAX_ENTRIES) {
+        keys.sort((a, b) => cache[a].usedAt.localeCompare(cache[b].usedAt))
+            .slice(0, keys.length - ANALYSIS_CACHE_MAX_ENTRIES)
+            .forEach(oldKey => delete cache[oldKey]);
+    }
+}
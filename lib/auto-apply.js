@@ -0,0 +1,73 @@
+/**
+ * Auto-Apply Rules for AI Job Applier
+ * Decides whether an analyzed job is applied to, declined or sent to manual review
+ */
+
+const DEFAULT_AUTO_APPLY_SETTINGS = {
+    enabled: false,
+    applyThreshold: 80,
+    declineThreshold: 40,
+    dailyCap: 10,
+    requiredKeywords: [],
+    reviewCompanies: [],
+    reviewStarred: true
+};
+
+/**
+ * Number of applications submitted since local midnight
+ */
+function countAppliedToday(jobQueue, now = new Date()) {
+    const midnight = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+    return jobQueue.filter(job => job.appliedDate && Date.parse(job.appliedDate) >= midnight).length;
+}
+
+/**
+ * Required keywords that appear in neither the job title nor its description
+ */
+function findMissingKeywords(job, keywords) {
+    const text = `${job.jobTitle || ''} ${job.description || ''}`.toLowerCase();
+    return keywords.filter(keyword => !text.includes(keyword.toLowerCase()));
+}
+
+/**
+ * Decide what to do with an analyzed job
+ * The overrides (starred jobs, listed companies) always go to review; the required
+ * keywords and daily cap only block automatic applying, never declining.
+ * @returns {{ action: 'apply'|'decline'|'review', reason: string }}
+ */
+function decideAutoAction(job, settings, appliedToday) {
+    const rules = { ...DEFAULT_AUTO_APPLY_SETTINGS, ...settings };
+
+    if (!rules.enabled) {
+        return { action: 'review', reason: 'Auto-apply is off' };
+    }
+
+    if (rules.reviewStarred && job.starred) {
+        return { action: 'review', reason: 'Starred jobs are always reviewed' };
+    }
+
+    const company = (job.company || '').toLowerCase();
+    const listedCompany = rules.reviewCompanies.find(name => company.includes(name.toLowerCase()));
+    if (listedCompany) {
+        return { action: 'review', reason: `${listedCompany} is on the always-review list` };
+    }
+
+    if (job.matchScore < rules.declineThreshold) {
+        return { action: 'decline', reason: `Match score ${job.matchScore}% is below ${rules.declineThreshold}%` };
+    }
+
+    if (job.matchScore < rules.applyThreshold) {
+        return { action: 'review', reason: `Match score ${job.matchScore}% is between the thresholds` };
+    }
+
+    const missing = findMissingKeywords(job, rules.requiredKeywords);
+    if (missing.length > 0) {
+        return { action: 'review', reason: `Missing required keywords: ${missing.join(', ')}` };
+    }
+
+    if (appliedToday >= rules.dailyCap) {
+        return { action: 'review', reason: `Daily cap of ${rules.dailyCap} applications reached` };
+    }
+
+    return { action: 'apply', reason: `Match score ${job.matchScore}% meets ${rules.applyThreshold}%` };
+}
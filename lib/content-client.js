@@ -0,0 +1,162 @@
+/**
+ * Content Script Client for AI Job Applier
+ * Injects the content modules into a LinkedIn tab once and talks to them with
+ * typed request/response messages instead of fixed waits.
+ */
+
+// Injected in this order; router.js goes last so every action is registered before it answers
+const CONTENT_SCRIPT_FILES = [
+    'lib/selectors.js',
+    'content/dom.js',
+    'content/scraper.js',
+    'content/easy-apply.js',
+    'content/diagnostics.js',
+    'content/router.js'
+];
+
+const TAB_LOAD_TIMEOUT = 15000;
+const CONTENT_REQUEST_TIMEOUT = 60000;
+
+/**
+ * @typedef {Object} ScrapeResultsPageResult
+ * @property {Object[]} jobs - Job cards read from the page, in queue format
+ * @property {boolean} hasNextPage - Whether the results continue on another page
+ */
+
+/**
+ * @typedef {Object} ScrapeJobDescriptionResult
+ * @property {string} description - Full text of the job description
+ */
+
+/**
+ * @typedef {Object} EasyApplyStepResult
+ * @property {string} stepName - Heading of the wizard page that was handled
+ * @property {string|null} progress - Wizard progress value, if shown
+ * @property {string} [action] - Button pressed or about to be pressed: next, review or submit
+ * @property {Object|null} [resumeUsed] - Resume selected or uploaded on this page
+ * @property {Object[]} [questions] - Questions that still need an answer; nothing was pressed
+ * @property {boolean} [awaitingApproval] - Stopped on the final page before submitting
+ * @property {boolean} [submitted] - The application was sent
+ * @property {string} [error] - Why this page could not be completed
+ */
+
+/**
+ * Raised when a content script cannot be reached or its action fails
+ */
+class ContentScriptError extends Error {
+    constructor(message, action = null) {
+        super(message);
+        this.name = 'ContentScriptError';
+        this.action = action;
+    }
+}
+
+class ContentClient {
+    constructor(logger) {
+        this.logger = logger;
+        this.requestCounter = 0;
+    }
+
+    /**
+     * Inject the content modules unless the page already has them
+     * Pinging first avoids re-running the scripts, which would redeclare their constants
+     */
+    async ensureInjected(tabId) {
+        try {
+            const response = await chrome.tabs.sendMessage(tabId, { type: 'CONTENT_PING' });
+            if (response?.ready) return;
+        } catch (error) {
+            // No listener yet: the page has not been injected since it loaded
+        }
+
+        this.logger.debug('Injecting content scripts', { tabId });
+        await chrome.scripting.executeScript({
+            target: { tabId },
+            files: CONTENT_SCRIPT_FILES
+        });
+    }
+
+    /**
+     * Run a content action in the tab and resolve with its result
+     * @param {number} tabId
+     * @param {'scrapeResultsPage'|'scrapeJobDescription'|'easyApplyStep'|'diagnoseSelectors'} action
+     * @param {Object} [payload]
+     * @returns {Promise<ScrapeResultsPageResult|ScrapeJobDescriptionResult|EasyApplyStepResult|Object[]>}
+     */
+    async request(tabId, action, payload = {}, { timeout = CONTENT_REQUEST_TIMEOUT } = {}) {
+        await this.ensureInjected(tabId);
+
+        const requestId = `${action}-${Date.now()}-${++this.requestCounter}`;
+        this.logger.debug('Content request', { tabId, action, requestId });
+
+        let timer;
+        const timedOut = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new ContentScriptError(`${action} did not respond within ${timeout / 1000}s`, action)), timeout);
+        });
+
+        try {
+            const response = await Promise.race([
+                chrome.tabs.sendMessage(tabId, { type: 'CONTENT_REQUEST', requestId, action, payload }),
+                timedOut
+            ]);
+
+            if (!response || response.requestId !== requestId) {
+                throw new ContentScriptError(`No response to ${action}`, action);
+            }
+
+            if (!response.ok) {
+                throw new ContentScriptError(response.error, action);
+            }
+
+            return response.result;
+        } catch (error) {
+            if (error instanceof ContentScriptError) throw error;
+            // The page navigated away or closed while the action was running
+            throw new ContentScriptError(`${action} failed: ${error.message}`, action);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Resolve when the tab next finishes loading, or after the load timeout
+     * @returns {{ loaded: Promise<void>, done: Function }} done resolves early and stops listening
+     */
+    watchLoad(tabId) {
+        let done;
+        const loaded = new Promise(resolve => {
+            const onUpdated = (updatedTabId, changeInfo) => {
+                if (updatedTabId === tabId && changeInfo.status === 'complete') {
+                    done();
+                }
+            };
+            const timeout = setTimeout(() => done(), TAB_LOAD_TIMEOUT);
+            done = () => {
+                clearTimeout(timeout);
+                chrome.tabs.onUpdated.removeListener(onUpdated);
+                resolve();
+            };
+            chrome.tabs.onUpdated.addListener(onUpdated);
+        });
+        return { loaded, done };
+    }
+
+    /**
+     * Navigate a tab and wait until it has finished loading
+     */
+    async navigate(tabId, url) {
+        const { loaded } = this.watchLoad(tabId);
+        await chrome.tabs.update(tabId, { url });
+        await loaded;
+    }
+
+    /**
+     * Wait until a tab has finished loading the page it is on; resolves at once when it already has
+     */
+    async waitForLoad(tabId) {
+        const { loaded, done } = this.watchLoad(tabId);
+        const tab = await chrome.tabs.get(tabId);
+        if (tab.status === 'complete') done();
+        await loaded;
+    }
+}
@@ -0,0 +1,94 @@
+/**
+ * Cover Letter Templates for AI Job Applier
+ * Reusable templates with placeholders and a personal style guide, turned into the
+ * cover letter instructions of the analysis and regeneration prompts
+ */
+
+// Placeholders a template can use; company and role are filled in before the prompt is sent
+const COVER_LETTER_PLACEHOLDERS = {
+    company: 'the company name',
+    role: 'the job title',
+    topSkills: 'the 2-3 skills from the CV that best match this job',
+    hiringManager: 'the hiring manager\'s name from the posting, or "Hiring Manager" if it does not give one'
+};
+
+const COVER_LETTER_LENGTHS = {
+    short: '1-2 short paragraphs',
+    medium: 'concise, 2-3 paragraphs',
+    long: '3-4 paragraphs'
+};
+
+const DEFAULT_COVER_LETTER_STYLE = {
+    tone: 'professional',
+    length: 'medium',
+    bannedPhrases: [],
+    signOff: ''
+};
+
+function createCoverLetterTemplate({ name, body }) {
+    return {
+        id: `template_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+        name,
+        body,
+        createdAt: new Date().toISOString()
+    };
+}
+
+/**
+ * The templates, the default template (or null) and the style guide from storage
+ */
+async function loadCoverLetterSettings() {
+    const { coverLetterTemplates = [], defaultCoverLetterTemplateId = null, coverLetterStyle } =
+        await chrome.storage.local.get(['coverLetterTemplates', 'defaultCoverLetterTemplateId', 'coverLetterStyle']);
+
+    return {
+        templates: coverLetterTemplates,
+        template: coverLetterTemplates.find(template => template.id === defaultCoverLetterTemplateId) || null,
+        style: { ...DEFAULT_COVER_LETTER_STYLE, ...coverLetterStyle }
+    };
+}
+
+/**
+ * Fill in the placeholders known before generation; the others are left for the LLM
+ */
+function renderCoverLetterTemplate(body, job) {
+    const values = { company: job.company, role: job.jobTitle };
+    return body.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, key) => values[key] || placeholder);
+}
+
+/**
+ * The cover letter part of a prompt: length, tone, banned phrases, sign-off and the template
+ * @param {Object} style
+ * @param {Object|null} template - Omitted when rewriting a letter that already follows it
+ * @param {Object} job
+ */
+function coverLetterInstructions(style, template, job) {
+    const lines = [
+        `- Length: ${COVER_LETTER_LENGTHS[style.length] || COVER_LETTER_LENGTHS.medium}`,
+        `- Tone: ${style.tone || DEFAULT_COVER_LETTER_STYLE.tone}`
+    ];
+
+    if (style.bannedPhrases.length > 0) {
+        lines.push(`- Never use these phrases: ${style.bannedPhrases.map(phrase => `"${phrase}"`).join(', ')}`);
+    }
+    if (style.signOff) {
+        lines.push(`- End with this sign-off, exactly as written:\n${style.signOff}`);
+    }
+
+    if (template) {
+        const body = renderCoverLetterTemplate(template.body, job);
+        const placeholders = [...new Set(Array.from(body.matchAll(/\{\{\s*(\w+)\s*\}\}/g), match => match[0]))]
+            .map(placeholder => `${placeholder} with ${COVER_LETTER_PLACEHOLDERS[placeholder.replace(/[{}\s]/g, '')] || 'suitable text'}`)
+            .join('; ');
+        lines.push(`- Follow this template, keeping its structure and wording${placeholders ? `. Replace ${placeholders}` : ''}:\n---\n${body}\n---`);
+    }
+
+    return `Cover letter instructions:\n${lines.join('\n')}`;
+}
+
+/**
+ * Schema rule for a generated cover letter: no unfilled placeholders and none of the banned phrases
+ */
+function coverLetterRule(style) {
+    return { ...ANALYSIS_SCHEMA.coverLetter, excludes: ['{{', ...style.bannedPhrases] };
+}
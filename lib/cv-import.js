@@ -0,0 +1,139 @@
+/**
+ * CV Import for AI Job Applier
+ * Reads a CV from a PDF, DOCX or Markdown file entirely inside the extension and
+ * normalizes it into sections (summary, experience, skills, education, ...)
+ */
+
+const CV_IMPORT_MAX_SIZE = 5 * 1024 * 1024;
+
+// Section headings recognized in imported CVs, in the order they are usually found
+const CV_SECTIONS = [
+    { key: 'summary', title: 'Summary', pattern: /^(summary|profile|about( me)?|professional summary|personal statement|objective|career objective)$/i },
+    { key: 'experience', title: 'Experience', pattern: /^((work|professional|relevant) experience|experience|employment( history)?|work history|career history)$/i },
+    { key: 'skills', title: 'Skills', pattern: /^((technical|core|key) skills|skills( (and|&) (competencies|expertise))?|competencies|technologies|tech stack)$/i },
+    { key: 'education', title: 'Education', pattern: /^(education( (and|&) training)?|academic background|qualifications)$/i },
+    { key: 'projects', title: 'Projects', pattern: /^((personal|selected|key) projects|projects)$/i },
+    { key: 'certifications', title: 'Certifications', pattern: /^(certifications?|licenses( (and|&) certifications)?|courses)$/i },
+    { key: 'languages', title: 'Languages', pattern: /^languages?$/i },
+    { key: 'interests', title: 'Interests', pattern: /^(interests|hobbies( (and|&) interests)?)$/i }
+];
+
+// The sections a CV is expected to have; the preview warns when one is missing
+const CV_EXPECTED_SECTIONS = ['experience', 'skills', 'education'];
+
+/**
+ * The import format of a file from its extension or MIME type, or null
+ */
+function cvFileFormat(file) {
+    const name = file.name.toLowerCase();
+    if (file.type === 'application/pdf' || name.endsWith('.pdf')) return 'pdf';
+    if (file.type === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' || name.endsWith('.docx')) return 'docx';
+    if (file.type === 'text/markdown' || /\.(md|markdown|txt)$/.test(name)) return 'markdown';
+    return null;
+}
+
+function decodeXmlEntities(text) {
+    return text
+        .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (match, decimal) => String.fromCodePoint(parseInt(decimal, 10)))
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, '\'')
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Text of a DOCX file, one line per paragraph; headings become Markdown headings and list items bullets
+ */
+async function extractDocxText(bytes) {
+    const documentXml = await readZipText(bytes, 'word/document.xml');
+    if (!documentXml) {
+        throw new Error('Not a Word document: word/document.xml is missing');
+    }
+
+    const paragraphs = documentXml.match(/<w:p[ >][\s\S]*?<\/w:p>/g) || [];
+
+    return paragraphs.map(paragraph => {
+        const text = decodeXmlEntities((paragraph.match(/<w:t[ >][^<]*<\/w:t>|<w:tab\/>|<w:br\/>/g) || [])
+            .map(run => run === '<w:tab/>' ? '\t' : run === '<w:br/>' ? '\n' : run.replace(/<[^>]+>/g, ''))
+            .join('')).trim();
+
+        if (!text) return '';
+        if (/<w:pStyle w:val="(Heading|Title)\d*"/.test(paragraph)) return `# ${text}`;
+        if (/<w:numPr>/.test(paragraph)) return `- ${text}`;
+        return text;
+    }).join('\n');
+}
+
+/**
+ * The known section a line introduces, or null
+ * Headings may be Markdown headings, end in a colon or be written in capitals
+ */
+function cvSectionForLine(line) {
+    const heading = line.replace(/^#{1,6}\s+/, '').replace(/[*_]/g, '').replace(/:$/, '').trim();
+    if (!heading || heading.length > 40) return null;
+    return CV_SECTIONS.find(section => section.pattern.test(heading)) || null;
+}
+
+/**
+ * Split CV text into sections and rebuild it as consistent Markdown
+ * Text before the first recognized heading (name, contact details) is kept at the top
+ * @returns {{ text: string, sections: { key: string, title: string, content: string }[], missing: string[] }}
+ */
+function sectionizeCv(rawText) {
+    const lines = rawText
+        .replace(/\r\n?/g, '\n')
+        .split('\n')
+        .map(line => line.replace(/^\s*[•▪●◦‣∙·*–]\s+/, '- ').replace(/[ \t]+/g, ' ').trim());
+
+    const sections = [{ key: 'header', title: '', lines: [] }];
+    lines.forEach(line => {
+        const section = cvSectionForLine(line);
+        if (section) {
+            sections.push({ key: section.key, title: section.title, lines: [] });
+        } else {
+            sections[sections.length - 1].lines.push(line);
+        }
+    });
+
+    const normalized = sections
+        .map(section => ({ key: section.key, title: section.title, content: section.lines.join('\n').replace(/\n{3,}/g, '\n\n').trim() }))
+        .filter(section => section.key !== 'header' || section.content);
+
+    const text = normalized
+        .map(section => section.title ? `## ${section.title}\n${section.content}` : section.content)
+        .join('\n\n')
+        .trim();
+
+    const found = new Set(normalized.map(section => section.key));
+    const missing = CV_EXPECTED_SECTIONS.filter(key => !found.has(key))
+        .map(key => CV_SECTIONS.find(section => section.key === key).title);
+
+    return { text, sections: normalized, missing };
+}
+
+/**
+ * Read a CV file and return its normalized text and sections
+ * @param {File} file
+ */
+async function importCvFile(file) {
+    const format = cvFileFormat(file);
+    if (!format) {
+        throw new Error(`${file.name} is not a PDF, DOCX or Markdown file`);
+    }
+    if (file.size > CV_IMPORT_MAX_SIZE) {
+        throw new Error(`${file.name} is larger than 5 MB`);
+    }
+
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    const rawText = format === 'pdf' ? await extractPdfText(bytes) :
+                    format === 'docx' ? await extractDocxText(bytes) :
+                    new TextDecoder().decode(bytes);
+
+    if (!rawText.trim()) {
+        throw new Error(`No text found in ${file.name}; scanned PDFs are not supported`);
+    }
+
+    return { format, ...sectionizeCv(rawText) };
+}
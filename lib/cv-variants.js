@@ -0,0 +1,61 @@
+/**
+ * CV Variants for AI Job Applier
+ * A library of CV versions; each job is scored against all of them and the best fit is used
+ */
+
+// The selected profile's own CV takes part under this id
+const PROFILE_CV_VARIANT_ID = 'profile';
+
+function createCvVariant({ name, text, resumeId = null, profileId }) {
+    return {
+        id: `cv_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+        name,
+        text,
+        resumeId,
+        profileId,
+        createdAt: new Date().toISOString()
+    };
+}
+
+/**
+ * The CV library from storage
+ * Variants saved before each belonged to a profile are given to the active profile
+ */
+async function loadCvVariants() {
+    const { cvVariants = [] } = await chrome.storage.local.get(['cvVariants']);
+
+    const unassigned = cvVariants.filter(variant => !variant.profileId);
+    if (unassigned.length > 0) {
+        const { activeProfileId } = await loadProfiles();
+        unassigned.forEach(variant => variant.profileId = activeProfileId);
+        await chrome.storage.local.set({ cvVariants });
+    }
+
+    return cvVariants;
+}
+
+/**
+ * The CVs a job is scored against: the profile's CV, when filled in, and the profile's library variants
+ */
+function cvCandidatesFor(profile, cvVariants = []) {
+    const candidates = [];
+
+    if (profile?.cv?.trim()) {
+        candidates.push({ id: PROFILE_CV_VARIANT_ID, name: `${profile.name} profile CV`, text: profile.cv, resumeId: null });
+    }
+
+    return candidates.concat(cvVariants.filter(variant => variant.profileId === profile?.id && variant.text?.trim()));
+}
+
+/**
+ * The CV text to use for a job: its chosen variant, or the profile's CV
+ * Throws when neither is left, e.g. after the variant was removed from a profile without a CV of its own
+ */
+function cvTextForJob(job, profile, cvVariants = []) {
+    const variant = cvVariants.find(candidate => candidate.id === job.cvVariant?.id && candidate.profileId === profile?.id);
+    const text = variant ? variant.text : profile?.cv || '';
+    if (!text.trim()) {
+        throw new Error(`No CV left for this job: ${job.cvVariant ? `the CV "${job.cvVariant.name}" was removed` : 'the profile has no CV'}`);
+    }
+    return text;
+}
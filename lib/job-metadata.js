@@ -0,0 +1,354 @@
+/**
+ * Job Metadata for AI Job Applier
+ * Structured fields read locally from a job's card and description: salary, location,
+ * workplace type, seniority, skills, years of experience, visa sponsorship and languages
+ */
+
+// Bump when the heuristics change so stored jobs are extracted again
+const JOB_METADATA_VERSION = 3;
+
+const CURRENCY_SYMBOLS = { '$': 'USD', '€': 'EUR', '£': 'GBP', '₹': 'INR', '¥': 'JPY' };
+const CURRENCY_CODES = ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'NZD', 'CHF', 'INR', 'SGD', 'SEK', 'NOK', 'DKK', 'PLN', 'JPY'];
+
+const SALARY_PERIODS = [
+    { period: 'year', pattern: /^\s*(\/\s*(year|yr)|(per|a|an)\s+(year|annum)|p\.?\s?a\.?|annual(ly)?|yearly)/i },
+    { period: 'month', pattern: /^\s*(\/\s*(month|mo)|(per|a)\s+month|monthly)/i },
+    { period: 'hour', pattern: /^\s*(\/\s*(hour|hr|h)\b|(per|an)\s+hour|hourly)/i }
+];
+
+// Checked in order, so on-site or hybrid wording wins over a remote mention in the same text
+const WORKPLACE_TYPES = [
+    { type: 'hybrid', pattern: /\bhybrid\b/i },
+    { type: 'on-site', pattern: /\b(on[- ]?site|in[- ]office|office[- ]based)\b/i },
+    { type: 'remote', pattern: /\b(fully remote|remote[- ]first|100% remote|remote)\b/i }
+];
+
+// Remote mentions that rule remote work out, e.g. "not a remote role" or "remote work is not possible"
+const NEGATED_REMOTE = /\b(not|no|non)[- ](a |an |fully |100% )?remote\b|\bremote\b[^.;\n]{0,30}\b(is not|isn't|not) (possible|available|offered|an option)\b/gi;
+
+// Checked in order against the title; the first match wins
+const SENIORITY_LEVELS = [
+    { level: 'director', pattern: /\b(director|head of|vp|vice president)\b/i },
+    { level: 'manager', pattern: /\bmanager\b/i },
+    { level: 'staff', pattern: /\b(staff|principal)\b/i },
+    { level: 'lead', pattern: /\b(lead|tech lead)\b/i },
+    { level: 'mid', pattern: /\b(mid[- ]level|mid[- ]senior|intermediate)\b/i },
+    { level: 'senior', pattern: /\b(senior|sr\.?)(?=\s|$)/i },
+    { level: 'junior', pattern: /\b(junior|jr\.?|entry[- ]level|graduate)(?=\s|$)/i },
+    { level: 'intern', pattern: /\b(intern|internship|working student)\b/i }
+];
+
+const SENIORITY_LABELS = {
+    intern: 'Intern',
+    junior: 'Junior',
+    mid: 'Mid-level',
+    senior: 'Senior',
+    lead: 'Lead',
+    staff: 'Staff / Principal',
+    manager: 'Manager',
+    director: 'Director'
+};
+
+const SKILL_PATTERNS = [
+    ['JavaScript', /\bjavascript\b|\bES6\b/i],
+    ['TypeScript', /\btypescript\b/i],
+    ['Python', /\bpython\b/i],
+    ['Java', /\bjava\b(?!\s*script)/i],
+    ['Kotlin', /\bkotlin\b/i],
+    ['Swift', /\bswift\b/i],
+    ['Go', /\bgolang\b|\bGo\b(?=\s*[,/)])/],
+    ['Rust', /\brust\b/i],
+    ['C#', /\bC#/i],
+    ['C++', /\bC\+\+/i],
+    ['Ruby', /\bruby\b/i],
+    ['PHP', /\bphp\b/i],
+    ['Scala', /\bscala\b/i],
+    ['Elixir', /\belixir\b/i],
+    ['SQL', /\bsql\b/i],
+    ['React', /\breact(\.js|js)?\b(?! native)/i],
+    ['React Native', /\breact native\b/i],
+    ['Angular', /\bangular\b/i],
+    ['Vue', /\bvue(\.js|js)?\b/i],
+    ['Node.js', /\bnode\.?js\b/i],
+    ['Next.js', /\bnext\.?js\b/i],
+    ['Django', /\bdjango\b/i],
+    ['Flask', /\bflask\b/i],
+    ['Spring', /\bspring( boot)?\b/i],
+    ['Rails', /\brails\b/i],
+    ['.NET', /\.net\b/i],
+    ['GraphQL', /\bgraphql\b/i],
+    ['REST', /\bREST(ful)?\b/],
+    ['AWS', /\bAWS\b|amazon web services/i],
+    ['Azure', /\bazure\b/i],
+    ['GCP', /\bGCP\b|google cloud/i],
+    ['Docker', /\bdocker\b/i],
+    ['Kubernetes', /\bkubernetes\b|\bk8s\b/i],
+    ['Terraform', /\bterraform\b/i],
+    ['Linux', /\blinux\b/i],
+    ['Git', /\bgit\b(?!hub|lab)/i],
+    ['CI/CD', /\bCI\s*\/\s*CD\b/i],
+    ['PostgreSQL', /\bpostgres(ql)?\b/i],
+    ['MySQL', /\bmysql\b/i],
+    ['MongoDB', /\bmongo(db)?\b/i],
+    ['Redis', /\bredis\b/i],
+    ['Kafka', /\bkafka\b/i],
+    ['Spark', /\b(apache )?spark\b/i],
+    ['Airflow', /\bairflow\b/i],
+    ['Machine Learning', /\bmachine learning\b|\bML\b/],
+    ['TensorFlow', /\btensorflow\b/i],
+    ['PyTorch', /\bpytorch\b/i],
+    ['HTML', /\bhtml5?\b/i],
+    ['CSS', /\bcss3?\b/i],
+    ['Figma', /\bfigma\b/i],
+    ['Agile', /\bagile\b|\bscrum\b/i]
+];
+
+const LANGUAGE_NAMES = ['English', 'German', 'French', 'Spanish', 'Dutch', 'Italian', 'Portuguese', 'Polish', 'Swedish',
+    'Danish', 'Norwegian', 'Finnish', 'Japanese', 'Mandarin', 'Chinese', 'Cantonese', 'Korean', 'Arabic', 'Hindi',
+    'Russian', 'Turkish', 'Hebrew'];
+
+const LANGUAGE_LEVELS = [
+    { level: 'native', pattern: /\bnative\b|\bmother tongue\b/i },
+    { level: 'C2', pattern: /\bC2\b/ },
+    { level: 'C1', pattern: /\bC1\b/ },
+    { level: 'B2', pattern: /\bB2\b/ },
+    { level: 'fluent', pattern: /\bfluen(t|cy)\b/i },
+    { level: 'business', pattern: /\b(business|professional)[- ]level\b|\bprofessional proficiency\b/i },
+    { level: 'basic', pattern: /\b(basic|conversational)\b/i }
+];
+
+// Where a description starts listing skills that are optional or required
+const NICE_TO_HAVE_MARKER = /nice[- ]to[- ]haves?|preferred (qualifications|skills|experience)|bonus points?|desirable|good to have|pluses/gi;
+const REQUIRED_MARKER = /requirements|required (qualifications|skills)|must[- ]haves?|minimum qualifications|basic qualifications|what you('ll| will)? (need|bring)|who you are|you have:/gi;
+const NICE_TO_HAVE_SENTENCE = /\b(a plus|is a bonus|preferred|nice to have|desirable|advantageous)\b/i;
+
+/**
+ * Parse one salary amount ("120,000", "120.000", "120k", "57.50") into a number
+ */
+function parseSalaryAmount(text) {
+    const thousands = /k$/i.test(text.trim());
+    const digits = text.replace(/k$/i, '').trim();
+    const value = /^\d{1,3}([,.\s]\d{3})+$/.test(digits) ? parseInt(digits.replace(/\D/g, ''), 10) : parseFloat(digits.replace(',', '.'));
+    return Number.isFinite(value) ? (thousands ? value * 1000 : value) : null;
+}
+
+/**
+ * The first salary (or salary range) with a currency in the text
+ * @returns {{ min: number, max: number, currency: string, period: string|null }|null}
+ */
+function extractSalary(text) {
+    const symbols = Object.keys(CURRENCY_SYMBOLS).map(symbol => `\\${symbol}`).join('');
+    const amount = '\\d{1,3}(?:[,.\\s]\\d{3})+|\\d+(?:[.,]\\d{1,2})?\\s?[kK]?';
+    const codes = CURRENCY_CODES.join('|');
+    const pattern = new RegExp(
+        `(?:([${symbols}])|\\b(${codes})\\s?)(${amount})(?:\\s?(?:${codes}))?` +
+        `(?:\\s*(?:-|–|—|to)\\s*(?:[${symbols}]|(?:${codes})\\s?)?(${amount})(?:\\s?(${codes}))?)?` +
+        `|\\b(${amount})\\s?(?:-|–|—|to)\\s?(${amount})\\s?(?:([${symbols}])|\\b(${codes})\\b)` +
+        `|\\b(${amount})\\s?(?:([${symbols}])|\\b(${codes})\\b)`,
+        'g'
+    );
+
+    for (const match of text.matchAll(pattern)) {
+        const currency = CURRENCY_SYMBOLS[match[1] || match[8] || match[11]] || match[2] || match[5] || match[9] || match[12];
+        const min = parseSalaryAmount(match[3] || match[6] || match[10]);
+        const max = parseSalaryAmount(match[4] || match[7] || match[3] || match[10]);
+        if (!currency || !min || !max || max < min) continue;
+
+        // A bare "$5" or "10 EUR" is rarely a salary
+        if (max < 10) continue;
+
+        const after = text.slice(match.index + match[0].length, match.index + match[0].length + 20);
+        const period = SALARY_PERIODS.find(candidate => candidate.pattern.test(after))?.period ||
+                       (min >= 1000 ? 'year' : null);
+
+        return { min, max, currency, period };
+    }
+
+    return null;
+}
+
+/**
+ * Years of experience asked for; with several mentions, the highest minimum
+ * @returns {{ min: number, max: number|null }|null}
+ */
+function extractYearsOfExperience(text) {
+    const pattern = /(\d{1,2})\s*\+?\s*(?:(?:-|–|to)\s*(\d{1,2})\s*\+?\s*)?years?(?:'|’)?\s+(?:of\s+)?(?:[\w/.+#-]+\s+){0,4}?experience/gi;
+    let best = null;
+
+    for (const match of text.matchAll(pattern)) {
+        const min = parseInt(match[1], 10);
+        const max = match[2] ? parseInt(match[2], 10) : null;
+        if (min > 30) continue;
+        if (!best || min > best.min) best = { min, max };
+    }
+
+    return best;
+}
+
+/**
+ * Seniority from the title, then an explicit "Seniority level:" line in the description,
+ * then the years of experience asked for
+ * Other mentions in the description ("reporting to our VP of Engineering") say nothing about the role
+ */
+function extractSeniority(title, description, years) {
+    const fromText = (text) => SENIORITY_LEVELS.find(candidate => candidate.pattern.test(text))?.level || null;
+
+    const stated = description.match(/\b(?:seniority|experience|career|job)?\s*level\s*:\s*([^\n.;|•]{2,40})/i)?.[1];
+    const level = fromText(title) || (stated ? fromText(stated) : null);
+    if (level) return level;
+
+    if (!years) return null;
+    return years.min < 2 ? 'junior' : years.min < 5 ? 'mid' : 'senior';
+}
+
+function extractWorkplaceType(location, description) {
+    const fromText = (text) => {
+        const affirmed = text.replace(NEGATED_REMOTE, ' ');
+        return WORKPLACE_TYPES.find(candidate => candidate.pattern.test(affirmed))?.type || null;
+    };
+    return fromText(location || '') || fromText(description);
+}
+
+/**
+ * The job's location: the card's location line, or a "Location:" line in the description
+ */
+function extractLocation(location, description) {
+    const fromCard = (location || '').replace(/\((remote|hybrid|on-site|onsite)\)/i, '').trim();
+    if (fromCard) return fromCard;
+
+    const fromDescription = description.match(/\blocation\s*:\s*([^\n.;|•]{2,60})/i)?.[1]?.trim();
+    return fromDescription || null;
+}
+
+/**
+ * Whether visa sponsorship is offered, ruled out or only mentioned
+ * @returns {'offered'|'not offered'|'mentioned'|null}
+ */
+function extractVisaSponsorship(text) {
+    if (/\b(not|unable to|cannot|can't|won't|will not|do not|does not|no)\s+(\w+\s+){0,3}?(sponsor|sponsorship)\b|\bwithout (the need for )?(visa )?sponsorship\b/i.test(text) ||
+        /\b(sponsorship|sponsor)\s+(is|will|can)?\s*(not|n't|no longer)\s+(be\s+)?(available|offered|provided|possible)\b/i.test(text)) {
+        return 'not offered';
+    }
+    if (/\b(visa sponsorship|sponsorship) (is |will be )?(available|offered|provided|possible)\b|\bwe (can|will|do|are able to) sponsor\b|\b(offer|provide) visa sponsorship\b|\brelocation and visa\b/i.test(text)) {
+        return 'offered';
+    }
+    return /\b(visa|sponsorship|work permit)\b/i.test(text) ? 'mentioned' : null;
+}
+
+/**
+ * Spoken languages the posting asks for, with the level when one is given nearby
+ * @returns {{ language: string, level: string|null }[]}
+ */
+function extractLanguages(text) {
+    const languages = [];
+
+    LANGUAGE_NAMES.forEach(language => {
+        const match = text.match(new RegExp(`\\b${language}\\b`));
+        if (!match) return;
+
+        // The clause around the mention, so a level given for another language is not picked up
+        const before = text.slice(0, match.index);
+        const clauseStart = Math.max(...['.', ';', ',', '\n'].map(separator => before.lastIndexOf(separator))) + 1;
+        const clauseEnd = text.slice(match.index).search(/[.;,\n]/);
+        const clause = text.slice(clauseStart, clauseEnd === -1 ? undefined : match.index + clauseEnd);
+        const level = LANGUAGE_LEVELS.find(candidate => candidate.pattern.test(clause))?.level || null;
+
+        // Only count languages asked for as a skill, not e.g. "an English-speaking team"
+        if (level || /\b(speak|spoken|written|language|proficien|required|a plus|preferred)/i.test(clause)) {
+            languages.push({ language, level });
+        }
+    });
+
+    return languages;
+}
+
+/**
+ * Skills named in the description, split into required and nice-to-have
+ * A mention counts as nice-to-have when it comes under a "nice to have" style heading or
+ * its sentence says it is a plus; a skill is required when any mention is not
+ */
+function extractSkills(text) {
+    const markers = [
+        ...Array.from(text.matchAll(NICE_TO_HAVE_MARKER), match => ({ index: match.index, nice: true })),
+        ...Array.from(text.matchAll(REQUIRED_MARKER), match => ({ index: match.index, nice: false }))
+    ].sort((a, b) => a.index - b.index);
+
+    const isNiceToHave = (index) => {
+        const marker = markers.filter(candidate => candidate.index <= index).pop();
+        if (marker?.nice) return true;
+
+        const sentenceStart = Math.max(text.lastIndexOf('.', index), text.lastIndexOf('\n', index)) + 1;
+        const sentenceEnd = text.slice(index).search(/[.\n]/);
+        const sentence = text.slice(sentenceStart, sentenceEnd === -1 ? undefined : index + sentenceEnd);
+        return NICE_TO_HAVE_SENTENCE.test(sentence);
+    };
+
+    const required = [];
+    const niceToHave = [];
+
+    SKILL_PATTERNS.forEach(([skill, pattern]) => {
+        const global = new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`);
+        const mentions = Array.from(text.matchAll(global), match => match.index);
+        if (mentions.length === 0) return;
+
+        if (mentions.every(isNiceToHave)) {
+            niceToHave.push(skill);
+        } else {
+            required.push(skill);
+        }
+    });
+
+    return { required, niceToHave };
+}
+
+/**
+ * Structured metadata for a job from its title, card location and description
+ */
+function extractJobMetadata(job) {
+    const description = job.description || '';
+    const years = extractYearsOfExperience(description);
+    const skills = extractSkills(description);
+
+    return {
+        version: JOB_METADATA_VERSION,
+        salary: extractSalary(description),
+        location: extractLocation(job.location, description),
+        workplaceType: extractWorkplaceType(job.location, description),
+        seniority: extractSeniority(job.jobTitle || '', description, years),
+        yearsOfExperience: years,
+        requiredSkills: skills.required,
+        niceToHaveSkills: skills.niceToHave,
+        visaSponsorship: extractVisaSponsorship(description),
+        languages: extractLanguages(description)
+    };
+}
+
+/**
+ * Extract metadata for jobs that have a description but no current metadata
+ * @returns {number} How many jobs were updated
+ */
+function fillJobMetadata(jobs) {
+    let updated = 0;
+    jobs.forEach(job => {
+        if (job.description && job.metadata?.version !== JOB_METADATA_VERSION) {
+            job.metadata = extractJobMetadata(job);
+            updated++;
+        }
+    });
+    return updated;
+}
+
+/**
+ * Yearly salary midpoint, used to sort jobs by pay; hourly and monthly pay are annualized
+ */
+function annualSalary(salary) {
+    if (!salary) return null;
+    const midpoint = (salary.min + salary.max) / 2;
+    return salary.period === 'hour' ? midpoint * 2080 : salary.period === 'month' ? midpoint * 12 : midpoint;
+}
+
+function formatSalary(salary) {
+    const amount = (value) => value.toLocaleString('en-US', { maximumFractionDigits: 2 });
+    const range = salary.min === salary.max ? amount(salary.min) : `${amount(salary.min)}–${amount(salary.max)}`;
+    return `${range} ${salary.currency}${salary.period ? ` per ${salary.period}` : ''}`;
+}
@@ -0,0 +1,85 @@
+/**
+ * Job Statuses for AI Job Applier
+ * The pipeline's statuses, the hiring stages a job is moved through by hand after applying,
+ * and the dated timeline of every status change
+ */
+
+// Statuses set by hand once an application is out, roughly in the order a hiring process goes
+const TRACKING_STATUSES = ['viewed', 'recruiter_contact', 'interview_scheduled', 'offer', 'rejected', 'withdrawn'];
+
+const JOB_STATUS_LABELS = {
+    pending: 'Pending',
+    reviewing: 'Reviewing',
+    applying: 'Applying',
+    applied: 'Applied',
+    skipped: 'Skipped',
+    failed: 'Failed',
+    viewed: 'Viewed',
+    recruiter_contact: 'Recruiter contact',
+    interview_scheduled: 'Interview scheduled',
+    offer: 'Offer',
+    rejected: 'Rejected',
+    withdrawn: 'Withdrawn'
+};
+
+// Funnel stages; a job counts for every stage up to the furthest one it reached
+const FUNNEL_STAGES = ['applied', 'viewed', 'recruiter_contact', 'interview_scheduled', 'offer'];
+
+function jobStatusLabel(status) {
+    return JOB_STATUS_LABELS[status] || status;
+}
+
+/**
+ * The job's status changes, oldest first
+ * Jobs saved before timelines existed get one rebuilt from their found and applied dates
+ * @returns {{ status: string, at: string|null }[]}
+ */
+function jobTimeline(job) {
+    if (Array.isArray(job.timeline)) return job.timeline;
+
+    const timeline = [];
+    if (job.dateFound) timeline.push({ status: 'pending', at: job.dateFound });
+    if (job.appliedDate) timeline.push({ status: 'applied', at: job.appliedDate });
+    if (job.status && job.status !== timeline[timeline.length - 1]?.status) {
+        timeline.push({ status: job.status, at: null });
+    }
+    return timeline;
+}
+
+/**
+ * Change a job's status and record the change in its timeline
+ */
+function setJobStatus(job, status, at = new Date().toISOString()) {
+    if (job.status === status) return;
+
+    job.timeline = jobTimeline(job);
+    job.status = status;
+    job.timeline.push({ status, at });
+}
+
+/**
+ * How many jobs reached each funnel stage, plus how many ended rejected or withdrawn
+ * @returns {{ stages: { status: string, label: string, count: number }[], rejected: number, withdrawn: number }}
+ */
+function jobFunnel(jobs) {
+    const counts = FUNNEL_STAGES.map(() => 0);
+    let rejected = 0;
+    let withdrawn = 0;
+
+    jobs.forEach(job => {
+        const reached = Math.max(...[...jobTimeline(job), { status: job.status }]
+            .map(entry => FUNNEL_STAGES.indexOf(entry.status)));
+        for (let stage = 0; stage <= reached; stage++) {
+            counts[stage]++;
+        }
+
+        if (job.status === 'rejected') rejected++;
+        if (job.status === 'withdrawn') withdrawn++;
+    });
+
+    return {
+        stages: FUNNEL_STAGES.map((status, index) => ({ status, label: jobStatusLabel(status), count: counts[index] })),
+        rejected,
+        withdrawn
+    };
+}
@@ -0,0 +1,250 @@
+/**
+ * LLM Providers for AI Job Applier
+ * Adapters that send a prompt to each supported chat API and normalize the reply
+ */
+
+const LLM_PROVIDERS = {
+    openai: {
+        label: 'OpenAI',
+        baseUrl: 'https://api.openai.com/v1',
+        model: 'gpt-3.5-turbo',
+        requiresKey: true
+    },
+    anthropic: {
+        label: 'Anthropic',
+        baseUrl: 'https://api.anthropic.com/v1',
+        model: 'claude-3-5-haiku-latest',
+        requiresKey: true
+    },
+    'openai-compatible': {
+        label: 'OpenAI-compatible',
+        baseUrl: '',
+        model: '',
+        requiresKey: false
+    },
+    local: {
+        label: 'Local (Ollama / llama.cpp)',
+        baseUrl: 'http://localhost:11434/v1',
+        model: 'llama3.1',
+        requiresKey: false
+    }
+};
+
+const DEFAULT_LLM_SETTINGS = {
+    provider: 'openai',
+    model: '',
+    baseUrl: '',
+    temperature: 0.7,
+    maxTokens: 1000
+};
+
+// Rate limits (429) and server errors (5xx) are retried with exponential backoff
+const LLM_RETRY_POLICY = {
+    maxRetries: 3,
+    baseDelay: 1000,
+    maxDelay: 30000
+};
+
+/**
+ * Raised when a provider request fails; retryable for rate limits, server and network errors
+ */
+class LLMRequestError extends Error {
+    constructor(message, status = 0, retryAfter = null) {
+        super(message);
+        this.name = 'LLMRequestError';
+        this.status = status;
+        this.retryAfter = retryAfter;
+        this.retryable = status === 0 || status === 429 || status >= 500;
+    }
+}
+
+/**
+ * Base provider: resolves settings against the provider defaults and runs the request
+ */
+class LLMProvider {
+    /**
+     * @param {string} id
+     * @param {Object} settings
+     * @param {Logger|null} [logger] - Receives retry warnings
+     */
+    constructor(id, settings, logger = null) {
+        const defaults = LLM_PROVIDERS[id];
+        this.id = id;
+        this.logger = logger;
+        this.apiKey = settings.apiKey || '';
+        this.model = settings.model || defaults.model;
+        this.baseUrl = (settings.baseUrl || defaults.baseUrl).replace(/\/+$/, '');
+        this.temperature = Number.isFinite(parseFloat(settings.temperature)) ? parseFloat(settings.temperature) : DEFAULT_LLM_SETTINGS.temperature;
+        this.maxTokens = parseInt(settings.maxTokens, 10) || DEFAULT_LLM_SETTINGS.maxTokens;
+    }
+
+    /**
+     * Provider, model and request parameters, recorded on each analyzed job
+     */
+    describe() {
+        return {
+            provider: this.id,
+            model: this.model,
+            baseUrl: this.baseUrl,
+            temperature: this.temperature,
+            maxTokens: this.maxTokens
+        };
+    }
+
+    /**
+     * Send a single user prompt and return { text, usage }
+     * Retryable failures are retried with backoff before giving up
+     */
+    async complete(prompt) {
+        if (!this.baseUrl) {
+            throw new Error(`No base URL configured for ${LLM_PROVIDERS[this.id].label}`);
+        }
+        if (!this.model) {
+            throw new Error(`No model configured for ${LLM_PROVIDERS[this.id].label}`);
+        }
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.send(prompt);
+            } catch (error) {
+                if (!error.retryable || attempt >= LLM_RETRY_POLICY.maxRetries) {
+                    throw error;
+                }
+                // A longer wait than any backoff would stall the worker; the job fails and is retried later
+                if (error.retryAfter !== null && error.retryAfter * 1000 > LLM_RETRY_POLICY.maxDelay) {
+                    throw new LLMRequestError(`${error.message} (provider asked to retry after ${Math.round(error.retryAfter)} s)`, error.status, error.retryAfter);
+                }
+
+                const backoff = Math.min(LLM_RETRY_POLICY.maxDelay, LLM_RETRY_POLICY.baseDelay * 2 ** attempt);
+                const delay = error.retryAfter !== null ? error.retryAfter * 1000 : backoff + Math.random() * 500;
+                this.logger?.warn('LLM request failed, retrying', { error: error.message, delay: Math.round(delay) });
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    /**
+     * Make one HTTP request to the provider
+     */
+    async send(prompt) {
+        const { url, headers, body } = this.buildRequest(prompt);
+
+        let response;
+        try {
+            response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...headers },
+                body: JSON.stringify(body)
+            });
+        } catch (error) {
+            throw new LLMRequestError(`Network error: ${error.message}`);
+        }
+
+        if (!response.ok) {
+            const retryAfter = parseFloat(response.headers.get('retry-after'));
+            throw new LLMRequestError(
+                `API request failed: ${response.status}`,
+                response.status,
+                Number.isFinite(retryAfter) ? retryAfter : null
+            );
+        }
+
+        return this.parseResponse(await response.json());
+    }
+}
+
+/**
+ * OpenAI Chat Completions API
+ */
+class OpenAIProvider extends LLMProvider {
+    buildRequest(prompt) {
+        return {
+            url: `${this.baseUrl}/chat/completions`,
+            headers: this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {},
+            body: {
+                model: this.model,
+                messages: [
+                    {
+                        role: 'user',
+                        content: prompt
+                    }
+                ],
+                max_tokens: this.maxTokens,
+                temperature: this.temperature
+            }
+        };
+    }
+
+    parseResponse(data) {
+        return {
+            text: data.choices[0].message.content,
+            usage: {
+                inputTokens: data.usage?.prompt_tokens || 0,
+                outputTokens: data.usage?.completion_tokens || 0
+            }
+        };
+    }
+}
+
+/**
+ * Any server exposing the OpenAI Chat Completions API under a custom base URL
+ */
+class OpenAICompatibleProvider extends OpenAIProvider {}
+
+/**
+ * Local Ollama or llama.cpp server through its OpenAI-compatible endpoint
+ */
+class LocalProvider extends OpenAICompatibleProvider {}
+
+/**
+ * Anthropic Messages API
+ */
+class AnthropicProvider extends LLMProvider {
+    buildRequest(prompt) {
+        return {
+            url: `${this.baseUrl}/messages`,
+            headers: {
+                'x-api-key': this.apiKey,
+                'anthropic-version': '2023-06-01',
+                // Required for requests made directly from a browser context
+                'anthropic-dangerous-direct-browser-access': 'true'
+            },
+            body: {
+                model: this.model,
+                max_tokens: this.maxTokens,
+                temperature: this.temperature,
+                messages: [
+                    {
+                        role: 'user',
+                        content: prompt
+                    }
+                ]
+            }
+        };
+    }
+
+    parseResponse(data) {
+        return {
+            text: data.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+            usage: {
+                inputTokens: data.usage?.input_tokens || 0,
+                outputTokens: data.usage?.output_tokens || 0
+            }
+        };
+    }
+}
+
+const LLM_PROVIDER_CLASSES = {
+    openai: OpenAIProvider,
+    anthropic: AnthropicProvider,
+    'openai-compatible': OpenAICompatibleProvider,
+    local: LocalProvider
+};
+
+/**
+ * Create the provider adapter for the saved LLM settings
+ */
+function createLLMProvider(settings = {}, logger = null) {
+    const id = LLM_PROVIDER_CLASSES[settings.provider] ? settings.provider : DEFAULT_LLM_SETTINGS.provider;
+    return new LLM_PROVIDER_CLASSES[id](id, settings, logger);
+}
@@ -0,0 +1,93 @@
+/**
+ * Local Scorer for AI Job Applier
+ * Scores each job against the CV and criteria without any API call, so the pending queue
+ * can be worked through best match first. The score is the TF-IDF weighted share of a job's
+ * terms that also appear in the CV or criteria. Until a job's description is scraped it is
+ * scored on its title and location only.
+ */
+
+const LOCAL_SCORE_STOPWORDS = new Set(`
+a about above after all also am an and any are as at be been being both but by can could did do does
+doing during each few for from further had has have having he her here hers him his how i if in into
+is it its itself just me more most my no nor not now of off on once only or other our ours out over own
+same she should so some such than that the their theirs them then there these they this those through
+to too under until up very was we were what when where which while who whom why will with would you
+your yours etc e.g i.e via per within across including include includes well work working job role
+position team teams company candidate candidates looking join us ability able strong experience
+experienced years year skills skill knowledge new good great must plus preferred required requirements
+responsibilities responsible opportunity environment
+`.trim().split(/\s+/));
+
+// Matched terms kept on the job to explain its score
+const LOCAL_SCORE_TERM_COUNT = 5;
+
+/**
+ * Lower-cased terms with stopwords removed; keeps c++, c#, node.js and the like whole
+ * Plurals are folded so "engineers" matches "engineer"
+ */
+function localScoreTerms(text) {
+    return (String(text || '').toLowerCase().match(/[a-z0-9][a-z0-9+#.]*[a-z0-9+#]|[a-z0-9]/g) || [])
+        .filter(term => term.length > 1 && !LOCAL_SCORE_STOPWORDS.has(term) && !/^\d+$/.test(term))
+        .map(term => /^[a-z]{4,}$/.test(term) && term.endsWith('s') && !term.endsWith('ss') ? term.slice(0, -1) : term);
+}
+
+/**
+ * The text a job is scored on, and whether it includes the description
+ */
+function localScoreText(job) {
+    // The title counts twice; it says more about the role than any one line of the description
+    return job.description
+        ? { text: `${job.jobTitle} ${job.jobTitle} ${job.description}`, basis: 'description' }
+        : { text: `${job.jobTitle} ${job.location || ''}`, basis: 'title' };
+}
+
+/**
+ * Score jobs against one CV and criteria reference text, setting localScore (0-100),
+ * localScoreBasis and localScoreTerms on each job
+ * Term weights use document frequencies across the given jobs, so terms every posting
+ * shares count for little and distinctive ones for a lot.
+ * @param {Object[]} jobs - Jobs of one profile
+ * @param {string} referenceText - CV texts and criteria
+ */
+function scoreJobsLocally(jobs, referenceText) {
+    const reference = new Set(localScoreTerms(referenceText));
+    const documents = jobs.map(job => {
+        const { text, basis } = localScoreText(job);
+        const counts = new Map();
+        localScoreTerms(text).forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+        return { job, basis, counts };
+    });
+
+    const documentFrequency = new Map();
+    documents.forEach(({ counts }) => counts.forEach((count, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1)));
+
+    documents.forEach(({ job, basis, counts }) => {
+        let total = 0;
+        let matched = 0;
+        const matchedTerms = [];
+
+        counts.forEach((count, term) => {
+            // Smoothed inverse document frequency, always above zero
+            const weight = (1 + Math.log(count)) * Math.log(1 + documents.length / documentFrequency.get(term));
+            total += weight;
+            if (reference.has(term)) {
+                matched += weight;
+                matchedTerms.push({ term, weight });
+            }
+        });
+
+        job.localScore = total > 0 && reference.size > 0 ? Math.round(matched / total * 100) : null;
+        job.localScoreBasis = basis;
+        job.localScoreTerms = matchedTerms
+            .sort((a, b) => b.weight - a.weight)
+            .slice(0, LOCAL_SCORE_TERM_COUNT)
+            .map(entry => entry.term);
+    });
+}
+
+/**
+ * The job to work on next: the highest local score, earliest in the queue on a tie
+ */
+function highestLocalScore(jobs) {
+    return jobs.reduce((best, job) => !best || (job.localScore ?? -1) > (best.localScore ?? -1) ? job : best, null);
+}
@@ -0,0 +1,41 @@
+/**
+ * Logger for AI Job Applier
+ * Shared by the popup and the background service worker; each keeps its own log in storage
+ */
+
+/**
+ * Logger class for comprehensive debugging
+ */
+class Logger {
+    constructor(storageKey = 'debug_logs') {
+        this.logs = [];
+        this.maxLogs = 1000;
+        this.storageKey = storageKey;
+    }
+
+    log(level, message, data = null) {
+        const timestamp = new Date().toISOString();
+        const logEntry = { timestamp, level, message, data };
+        
+        console.log(`[${level.toUpperCase()}] ${timestamp}: ${message}`, data || '');
+        
+        this.logs.push(logEntry);
+        if (this.logs.length > this.maxLogs) {
+            this.logs.shift();
+        }
+        
+        // Store logs in chrome storage for persistence
+        chrome.storage.local.set({ [this.storageKey]: this.logs.slice(-100) });
+    }
+
+    info(message, data) { this.log('info', message, data); }
+    warn(message, data) { this.log('warn', message, data); }
+    error(message, data) { this.log('error', message, data); }
+    debug(message, data) { this.log('debug', message, data); }
+
+    getLogs() { return this.logs; }
+    clearLogs() { 
+        this.logs = [];
+        chrome.storage.local.remove(this.storageKey);
+    }
+}
@@ -0,0 +1,134 @@
+/**
+ * Pacing for AI Job Applier
+ * Randomized delays, hourly/daily caps, quiet hours and error cooldowns for the
+ * automation loop, so it moves at a human pace instead of a fixed interval
+ */
+
+const DEFAULT_PACING_SETTINGS = {
+    jobDelayMin: 30,
+    jobDelayMax: 90,
+    pageDelayMin: 2,
+    pageDelayMax: 6,
+    hourlyCap: 10,
+    dailyCap: 50,
+    quietHoursEnabled: false,
+    quietHoursStart: '22:00',
+    quietHoursEnd: '07:00',
+    errorCooldown: 5
+};
+
+// Error cooldowns double with each consecutive error up to this many minutes
+const MAX_ERROR_COOLDOWN_MINUTES = 60;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class Pacer {
+    constructor(settings = {}) {
+        this.settings = { ...DEFAULT_PACING_SETTINGS, ...settings };
+    }
+
+    /**
+     * Random delay in milliseconds between the configured bounds (in seconds)
+     */
+    randomDelay(min, max) {
+        const low = Math.max(0, Math.min(min, max));
+        const high = Math.max(min, max);
+        return Math.round((low + Math.random() * (high - low)) * 1000);
+    }
+
+    /**
+     * Wait a random pause before the next page load
+     */
+    waitBeforePageLoad() {
+        const delay = this.randomDelay(this.settings.pageDelayMin, this.settings.pageDelayMax);
+        return new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    /**
+     * Wait a random pause between two jobs, for loops that process jobs back to back
+     */
+    waitBetweenJobs() {
+        const delay = this.randomDelay(this.settings.jobDelayMin, this.settings.jobDelayMax);
+        return new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    /**
+     * Minutes since midnight for an "HH:MM" string
+     */
+    parseTime(value) {
+        const [hours, minutes] = String(value || '0:0').split(':').map(part => parseInt(part, 10) || 0);
+        return hours * 60 + minutes;
+    }
+
+    /**
+     * End of the quiet hours window containing time, or null when time is outside it
+     */
+    quietHoursEnd(time) {
+        if (!this.settings.quietHoursEnabled) return null;
+
+        const start = this.parseTime(this.settings.quietHoursStart);
+        const end = this.parseTime(this.settings.quietHoursEnd);
+        if (start === end) return null;
+
+        const date = new Date(time);
+        const minutes = date.getHours() * 60 + date.getMinutes();
+        const inWindow = start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+        if (!inWindow) return null;
+
+        const endDate = new Date(date.getFullYear(), date.getMonth(), date.getDate(), Math.floor(end / 60), end % 60);
+        if (endDate.getTime() <= time) {
+            endDate.setDate(endDate.getDate() + 1);
+        }
+        return endDate.getTime();
+    }
+
+    /**
+     * When the next job may be processed, and why it waits that long
+     * @param {Object} options
+     * @param {number[]} options.appliedTimes - Submission timestamps of past applications
+     * @param {number} options.consecutiveErrors - Errors since the last successful job
+     * @param {number} [options.now]
+     * @returns {{ at: number, reason: string }}
+     */
+    nextActionTime({ appliedTimes = [], consecutiveErrors = 0, now = Date.now() }) {
+        let at = now + this.randomDelay(this.settings.jobDelayMin, this.settings.jobDelayMax);
+        let reason = 'Pause between jobs';
+
+        if (consecutiveErrors > 0) {
+            const cooldownMinutes = Math.min(this.settings.errorCooldown * 2 ** (consecutiveErrors - 1), MAX_ERROR_COOLDOWN_MINUTES);
+            const cooldownUntil = now + cooldownMinutes * 60 * 1000;
+            if (cooldownUntil > at) {
+                at = cooldownUntil;
+                reason = `Cooling down after ${consecutiveErrors} error(s)`;
+            }
+        }
+
+        // Caps count applications in a rolling hour and since local midnight
+        const lastHour = appliedTimes.filter(time => time > now - HOUR_MS).sort((a, b) => a - b);
+        if (lastHour.length >= this.settings.hourlyCap) {
+            const freesAt = lastHour[lastHour.length - this.settings.hourlyCap] + HOUR_MS;
+            if (freesAt > at) {
+                at = freesAt;
+                reason = `Hourly cap of ${this.settings.hourlyCap} applications reached`;
+            }
+        }
+
+        const today = new Date(now);
+        const midnight = new Date(today.getFullYear(), today.getMonth(), today.getDate()).getTime();
+        if (appliedTimes.filter(time => time >= midnight).length >= this.settings.dailyCap) {
+            const tomorrow = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1).getTime();
+            if (tomorrow > at) {
+                at = tomorrow;
+                reason = `Daily cap of ${this.settings.dailyCap} applications reached`;
+            }
+        }
+
+        const quietEnd = this.quietHoursEnd(at);
+        if (quietEnd) {
+            at = quietEnd;
+            reason = `Quiet hours until ${this.settings.quietHoursEnd}`;
+        }
+
+        return { at, reason };
+    }
+}
@@ -0,0 +1,448 @@
+/**
+ * PDF text extraction for AI Job Applier
+ * Reads the text of unencrypted PDFs, such as CVs exported from a word processor,
+ * without third-party libraries: objects and object streams are parsed, Flate streams
+ * are inflated, fonts are mapped to Unicode through their ToUnicode CMaps and the
+ * page content streams are walked for their text operators.
+ */
+
+// TJ adjustments (in thousandths of a text unit) wider than this are read as a space between words
+const PDF_WORD_GAP = 200;
+
+/**
+ * Bytes as a binary string, one character per byte, so the PDF syntax can be searched with regexes
+ */
+function bytesToBinary(bytes) {
+    let binary = '';
+    for (let offset = 0; offset < bytes.length; offset += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(offset, offset + 0x8000));
+    }
+    return binary;
+}
+
+function binaryToBytes(binary) {
+    const bytes = new Uint8Array(binary.length);
+    for (let index = 0; index < binary.length; index++) {
+        bytes[index] = binary.charCodeAt(index) & 0xff;
+    }
+    return bytes;
+}
+
+/**
+ * Read the PDF value (number, name, reference, string, array or dictionary) starting at a position
+ * @returns {{ value: string, end: number }}
+ */
+function readPdfValue(source, start) {
+    let position = start;
+    while (/\s/.test(source[position])) position++;
+
+    const reference = /^(\d+)\s+(\d+)\s+R\b/.exec(source.slice(position, position + 32));
+    if (reference) {
+        return { value: reference[0], end: position + reference[0].length };
+    }
+
+    const open = source.startsWith('<<', position) ? '<<' : source[position];
+    const close = { '<<': '>>', '[': ']', '(': ')', '<': '>' }[open];
+
+    if (close) {
+        let depth = 0;
+        for (let index = position; index < source.length; index++) {
+            if (open === '(' && source[index] === '\\') {
+                index++;
+            } else if (source.startsWith(open, index)) {
+                depth++;
+                index += open.length - 1;
+            } else if (source.startsWith(close, index)) {
+                depth--;
+                index += close.length - 1;
+                if (depth === 0) {
+                    return { value: source.slice(position, index + 1), end: index + 1 };
+                }
+            }
+        }
+        return { value: source.slice(position), end: source.length };
+    }
+
+    const token = /^\/?[^\s/<>[\]()]+/.exec(source.slice(position, position + 128));
+    const value = token ? token[0] : '';
+    return { value, end: position + value.length };
+}
+
+/**
+ * The raw value of a key in a dictionary, or null
+ */
+function pdfDictValue(dict, key) {
+    const match = new RegExp(`/${key}(?![\\w.-])`).exec(dict || '');
+    return match ? readPdfValue(dict, match.index + match[0].length).value : null;
+}
+
+/**
+ * Indirect references inside a value, in order
+ */
+function pdfReferences(value) {
+    return Array.from((value || '').matchAll(/(\d+)\s+\d+\s+R\b/g), match => match[1]);
+}
+
+/**
+ * Parse every object in the file, including those packed in object streams
+ * @returns {Promise<Map<string, { dict: string, stream: string|null }>>}
+ */
+async function readPdfObjects(source) {
+    const objects = new Map();
+    const objectPattern = /(\d+)\s+\d+\s+obj\b([\s\S]*?)\bendobj\b/g;
+
+    for (const [, number, body] of source.matchAll(objectPattern)) {
+        const streamStart = /\bstream\r?\n/.exec(body);
+        if (!streamStart) {
+            objects.set(number, { dict: body.trim(), stream: null });
+            continue;
+        }
+
+        const dict = body.slice(0, streamStart.index).trim();
+        const raw = body.slice(streamStart.index + streamStart[0].length, body.lastIndexOf('endstream')).replace(/\r?\n$/, '');
+        objects.set(number, { dict, stream: await decodePdfStream(dict, raw) });
+    }
+
+    // Object streams pack further objects after a header of "number offset" pairs
+    for (const { dict, stream } of Array.from(objects.values())) {
+        if (!stream || !/\/Type\s*\/ObjStm\b/.test(dict)) continue;
+
+        const count = parseInt(pdfDictValue(dict, 'N'), 10);
+        const first = parseInt(pdfDictValue(dict, 'First'), 10);
+        const header = stream.slice(0, first).trim().split(/\s+/).map(Number);
+
+        for (let index = 0; index < count; index++) {
+            const number = String(header[index * 2]);
+            const start = first + header[index * 2 + 1];
+            const end = index + 1 < count ? first + header[index * 2 + 3] : stream.length;
+            if (!objects.has(number)) {
+                objects.set(number, { dict: stream.slice(start, end).trim(), stream: null });
+            }
+        }
+    }
+
+    return objects;
+}
+
+/**
+ * Decode a stream's data; null for filters that do not carry text (images and the like)
+ */
+async function decodePdfStream(dict, raw) {
+    const filter = pdfDictValue(dict, 'Filter') || '';
+    if (!filter) return raw;
+    if (!/^\[?\s*\/FlateDecode\s*\]?$/.test(filter)) return null;
+
+    try {
+        return bytesToBinary(await inflateBytes(binaryToBytes(raw), 'deflate'));
+    } catch (error) {
+        console.log('⚠️ Could not inflate PDF stream:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Page objects in reading order, each with the resources it inherits
+ */
+function pdfPages(objects, source) {
+    const resolve = (value) => {
+        const [number] = pdfReferences(value);
+        return /^\d+\s+\d+\s+R$/.test(value || '') ? objects.get(number)?.dict || '' : value || '';
+    };
+
+    const pages = [];
+    const visit = (number, inheritedResources, seen) => {
+        if (seen.has(number)) return;
+        seen.add(number);
+
+        const dict = objects.get(number)?.dict || '';
+        const resources = pdfDictValue(dict, 'Resources') ? resolve(pdfDictValue(dict, 'Resources')) : inheritedResources;
+
+        if (/\/Type\s*\/Pages\b/.test(dict)) {
+            pdfReferences(resolve(pdfDictValue(dict, 'Kids'))).forEach(kid => visit(kid, resources, seen));
+        } else if (/\/Type\s*\/Page\b/.test(dict)) {
+            pages.push({ dict, resources });
+        }
+    };
+
+    // The last /Root wins when a file has been updated incrementally
+    const roots = Array.from(source.matchAll(/\/Root\s+(\d+)\s+\d+\s+R/g));
+    const catalog = roots.length ? objects.get(roots[roots.length - 1][1])?.dict : null;
+    const [pagesRoot] = pdfReferences(pdfDictValue(catalog, 'Pages'));
+    if (pagesRoot) {
+        visit(pagesRoot, '', new Set());
+    }
+
+    if (pages.length === 0) {
+        // No usable page tree: fall back to page objects in file order
+        objects.forEach(({ dict }) => {
+            if (/\/Type\s*\/Page\b/.test(dict)) pages.push({ dict, resources: resolve(pdfDictValue(dict, 'Resources')) });
+        });
+    }
+
+    return { pages, resolve };
+}
+
+/**
+ * Parse a ToUnicode CMap into a code to text lookup
+ * @returns {{ codeLength: number, map: Map<number, string> }}
+ */
+function parseToUnicodeCMap(cmap) {
+    const map = new Map();
+    const hexToText = (hex) => {
+        let text = '';
+        for (let index = 0; index + 4 <= hex.length; index += 4) {
+            text += String.fromCharCode(parseInt(hex.slice(index, index + 4), 16));
+        }
+        return hex.length === 2 ? String.fromCharCode(parseInt(hex, 16)) : text;
+    };
+
+    const codespace = /begincodespacerange\s*<([0-9a-fA-F]+)>/.exec(cmap);
+    const codeLength = codespace ? codespace[1].length / 2 : 1;
+
+    for (const [, block] of cmap.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+        for (const [, source, target] of block.matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) {
+            map.set(parseInt(source, 16), hexToText(target));
+        }
+    }
+
+    for (const [, block] of cmap.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+        for (const [, low, high, target] of block.matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]*>|\[[^\]]*\])/g)) {
+            const start = parseInt(low, 16);
+            const end = parseInt(high, 16);
+
+            if (target.startsWith('[')) {
+                Array.from(target.matchAll(/<([0-9a-fA-F]*)>/g)).forEach(([, hex], offset) => map.set(start + offset, hexToText(hex)));
+            } else {
+                const base = target.slice(1, -1);
+                const prefix = hexToText(base.slice(0, -4));
+                const last = parseInt(base.slice(-4) || '0', 16);
+                for (let code = start; code <= end; code++) {
+                    map.set(code, base.length <= 2 ? String.fromCharCode(parseInt(base, 16) + code - start) : prefix + String.fromCharCode(last + code - start));
+                }
+            }
+        }
+    }
+
+    return { codeLength, map };
+}
+
+/**
+ * Fonts of a page by resource name, with their Unicode mapping when the PDF provides one
+ */
+function pdfPageFonts(resources, objects, resolve) {
+    const fonts = new Map();
+    const fontDict = resolve(pdfDictValue(resources, 'Font'));
+
+    for (const [, name, number] of (fontDict || '').matchAll(/\/([^\s/<>[\]()]+)\s+(\d+)\s+\d+\s+R/g)) {
+        const font = objects.get(number)?.dict || '';
+        const [toUnicode] = pdfReferences(pdfDictValue(font, 'ToUnicode'));
+        const cmap = toUnicode ? objects.get(toUnicode)?.stream : null;
+        fonts.set(name, cmap ? parseToUnicodeCMap(cmap) : null);
+    }
+
+    return fonts;
+}
+
+/**
+ * Turn the bytes of a shown string into text with the current font
+ */
+function decodePdfString(bytes, font) {
+    if (!font) {
+        // Simple fonts without a CMap: close enough to Latin-1 for CV text
+        return bytes.replace(/[\x00-\x08\x0b-\x1f]/g, '');
+    }
+
+    let text = '';
+    for (let index = 0; index + font.codeLength <= bytes.length; index += font.codeLength) {
+        let code = 0;
+        for (let offset = 0; offset < font.codeLength; offset++) {
+            code = code * 256 + bytes.charCodeAt(index + offset);
+        }
+        text += font.map.get(code) ?? '';
+    }
+    return text;
+}
+
+/**
+ * Read a literal (...) string token into its bytes
+ */
+function readPdfLiteral(content, start) {
+    const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+    let bytes = '';
+    let depth = 0;
+    let index = start;
+
+    for (; index < content.length; index++) {
+        const char = content[index];
+        if (char === '\\') {
+            const next = content[++index];
+            if (escapes[next]) {
+                bytes += escapes[next];
+            } else if (/[0-7]/.test(next)) {
+                const octal = /^[0-7]{1,3}/.exec(content.slice(index, index + 3))[0];
+                bytes += String.fromCharCode(parseInt(octal, 8) & 0xff);
+                index += octal.length - 1;
+            } else if (next === '\r' || next === '\n') {
+                if (next === '\r' && content[index + 1] === '\n') index++;
+            } else {
+                bytes += next;
+            }
+        } else if (char === '(') {
+            if (depth++ > 0) bytes += char;
+        } else if (char === ')') {
+            if (--depth === 0) break;
+            bytes += char;
+        } else {
+            bytes += char;
+        }
+    }
+
+    return { bytes, end: index + 1 };
+}
+
+/**
+ * Walk a page content stream and collect the text it shows, breaking lines where the text moves down
+ */
+function pdfContentText(content, fonts) {
+    let text = '';
+    let font = null;
+    let operands = [];
+    let lastY = null;
+
+    const newLine = () => { if (text && !text.endsWith('\n')) text += '\n'; };
+    const space = () => { if (text && !/\s$/.test(text)) text += ' '; };
+    const show = (bytes) => { text += decodePdfString(bytes, font); };
+
+    for (let index = 0; index < content.length;) {
+        const char = content[index];
+
+        if (/\s/.test(char)) {
+            index++;
+        } else if (char === '%') {
+            index = content.indexOf('\n', index) === -1 ? content.length : content.indexOf('\n', index);
+        } else if (char === '(') {
+            const { bytes, end } = readPdfLiteral(content, index);
+            operands.push({ string: bytes });
+            index = end;
+        } else if (content.startsWith('<<', index)) {
+            const { end } = readPdfValue(content, index);
+            operands.push({ dict: true });
+            index = end;
+        } else if (char === '<') {
+            const end = content.indexOf('>', index);
+            const hex = content.slice(index + 1, end).replace(/\s/g, '');
+            let bytes = '';
+            for (let offset = 0; offset < hex.length; offset += 2) {
+                bytes += String.fromCharCode(parseInt(hex.slice(offset, offset + 2).padEnd(2, '0'), 16));
+            }
+            operands.push({ string: bytes });
+            index = end + 1;
+        } else if (char === '[') {
+            operands.push({ array: [] });
+            index++;
+        } else if (char === ']') {
+            // Fold everything since the matching [ into the array operand
+            const start = operands.map(operand => !!operand.array && !operand.closed).lastIndexOf(true);
+            if (start !== -1) {
+                operands[start].array = operands.splice(start + 1);
+                operands[start].closed = true;
+            }
+            index++;
+        } else if (char === '/') {
+            const { value, end } = readPdfValue(content, index);
+            operands.push({ name: value.slice(1) });
+            index = end;
+        } else {
+            const token = /^[^\s/<>[\]()%]+/.exec(content.slice(index, index + 64))?.[0] || char;
+            index += token.length;
+
+            if (/^[-+.\d]/.test(token)) {
+                operands.push({ number: parseFloat(token) });
+                continue;
+            }
+
+            switch (token) {
+                case 'Tf':
+                    font = fonts.get(operands[0]?.name) || null;
+                    break;
+                case 'Tj':
+                    show(operands[0]?.string || '');
+                    break;
+                case '\'':
+                case '"':
+                    newLine();
+                    show(operands[operands.length - 1]?.string || '');
+                    break;
+                case 'TJ':
+                    (operands[0]?.array || []).forEach(entry => {
+                        if (entry.string !== undefined) show(entry.string);
+                        else if (entry.number < -PDF_WORD_GAP) space();
+                    });
+                    break;
+                case 'Td':
+                case 'TD':
+                    if (operands[1]?.number) newLine();
+                    else if (operands[0]?.number > 0) space();
+                    break;
+                case 'Tm':
+                    if (lastY !== null && operands[5]?.number !== lastY) newLine();
+                    else space();
+                    lastY = operands[5]?.number ?? lastY;
+                    break;
+                case 'T*':
+                    newLine();
+                    break;
+                case 'ET':
+                    space();
+                    break;
+                case 'BI': {
+                    // Skip inline image data
+                    const imageEnd = content.indexOf('EI', content.indexOf('ID', index));
+                    index = imageEnd === -1 ? content.length : imageEnd + 2;
+                    break;
+                }
+                default:
+                    break;
+            }
+            operands = [];
+        }
+    }
+
+    return text;
+}
+
+/**
+ * Extract the text of a PDF, page by page
+ * @param {Uint8Array} bytes
+ * @returns {Promise<string>}
+ */
+async function extractPdfText(bytes) {
+    const source = bytesToBinary(bytes);
+    if (!source.startsWith('%PDF')) {
+        throw new Error('Not a PDF file');
+    }
+    if (/\/Encrypt\s/.test(source)) {
+        throw new Error('Encrypted PDFs cannot be imported; export the CV again without a password');
+    }
+
+    const objects = await readPdfObjects(source);
+    const { pages, resolve } = pdfPages(objects, source);
+
+    const pageTexts = pages.map(({ dict, resources }) => {
+        const fonts = pdfPageFonts(resources, objects, resolve);
+        // Contents is a stream, an array of streams, or a reference to such an array
+        const content = pdfReferences(pdfDictValue(dict, 'Contents'))
+            .flatMap(number => objects.get(number)?.stream === null ? pdfReferences(objects.get(number).dict) : [number])
+            .map(number => objects.get(number)?.stream || '')
+            .join('\n');
+        return pdfContentText(content, fonts);
+    });
+
+    return pageTexts
+        .join('\n\n')
+        .split('\n')
+        .map(line => line.replace(/[ \t]+/g, ' ').trim())
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
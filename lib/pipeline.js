@@ -0,0 +1,1650 @@
+/**
+ * Job Pipeline for AI Job Applier
+ * Collects jobs, analyzes them and drives Easy Apply from the background service worker,
+ * so work carries on when the popup is closed. State is checkpointed to storage after
+ * every change and picked up again when the service worker restarts.
+ */
+
+// LinkedIn shows 25 results per search page
+const RESULTS_PAGE_SIZE = 25;
+const DEFAULT_MAX_PAGES = 5;
+const DEFAULT_TARGET_JOB_COUNT = 100;
+const MAX_EASY_APPLY_STEPS = 12;
+const MAX_AI_REPAIR_ATTEMPTS = 2;
+
+// Search filter fields mapped to LinkedIn's job search query parameters
+const SEARCH_FILTER_PARAMS = {
+    workplaceTypes: 'f_WT',
+    experienceLevels: 'f_E',
+    jobTypes: 'f_JT',
+    datePosted: 'f_TPR'
+};
+
+// Wakes the service worker while work is in progress so it is not shut down mid-run
+const PIPELINE_KEEPALIVE_ALARM = 'pipelineKeepalive';
+
+// Fires when the paced wait before the next job is over
+const PIPELINE_NEXT_ACTION_ALARM = 'pipelineNextAction';
+
+// Phases in which the pipeline is doing work rather than waiting on the user
+const PIPELINE_ACTIVE_PHASES = ['collecting', 'processing', 'analyzing', 'applying'];
+
+// Commands that would take over the tab while a saved search runs in the background
+const SAVED_SEARCH_BLOCKED_COMMANDS = ['START', 'PROCESS_JOB', 'RETRY_JOB', 'CLEAR_DATA'];
+
+const DEFAULT_PIPELINE_STATE = {
+    phase: 'idle',
+    isPaused: false,
+    tabId: null,
+    currentJobId: null,
+    reviewStage: null,
+    collection: null,
+    status: null,
+    nextActionAt: null,
+    nextActionReason: null,
+    consecutiveErrors: 0,
+    savedSearchRun: null,
+    coverLetterRegeneration: null
+};
+
+class JobPipeline {
+    /**
+     * @param {Object} options
+     * @param {Logger} options.logger
+     * @param {ContentClient} options.contentClient
+     * @param {Function} options.onChange - Called with a snapshot after every state or queue change
+     */
+    constructor({ logger, contentClient, onChange }) {
+        this.logger = logger;
+        this.contentClient = contentClient;
+        this.onChange = onChange || (() => {});
+        this.state = { ...DEFAULT_PIPELINE_STATE };
+        this.jobQueue = [];
+        this.savedSearches = [];
+        this.llmUsage = {};
+        this.analysisCache = {};
+        this.running = false;
+    }
+
+    /**
+     * Load the queue and the last checkpoint from storage
+     */
+    async load() {
+        const { jobQueue = [], pipelineState, savedSearches = [], llmUsage = {}, analysisCache = {} } =
+            await chrome.storage.local.get(['jobQueue', 'pipelineState', 'savedSearches', 'llmUsage', 'analysisCache']);
+        this.jobQueue = jobQueue;
+        this.savedSearches = savedSearches;
+        this.llmUsage = llmUsage;
+        this.analysisCache = analysisCache;
+
+        // Jobs collected before profiles existed belong to the profile made from the old settings
+        const { profiles } = await loadProfiles();
+        const untaggedJobs = this.jobQueue.filter(job => !job.profileId);
+        if (untaggedJobs.length > 0) {
+            untaggedJobs.forEach(job => job.profileId = profiles[0].id);
+            await chrome.storage.local.set({ jobQueue: this.jobQueue });
+        }
+
+        // Jobs scraped before metadata extraction, or with an older version of it
+        if (fillJobMetadata(this.jobQueue) > 0) {
+            await chrome.storage.local.set({ jobQueue: this.jobQueue });
+        }
+
+        // Jobs scraped before local scoring
+        if (this.jobQueue.some(job => job.localScore === undefined)) {
+            await this.updateLocalScores();
+            await chrome.storage.local.set({ jobQueue: this.jobQueue });
+        }
+        this.state = { ...DEFAULT_PIPELINE_STATE, ...pipelineState };
+
+        // A regeneration the previous worker was running will never finish
+        if (this.state.coverLetterRegeneration && !this.state.coverLetterRegeneration.done) {
+            this.state.coverLetterRegeneration = { ...this.state.coverLetterRegeneration, done: true };
+        }
+        this.logger.info('Pipeline loaded', { phase: this.state.phase, jobs: this.jobQueue.length });
+    }
+
+    /**
+     * Pick up work that was in progress when the service worker was stopped
+     */
+    async resume() {
+        if (this.running || this.state.isPaused) return;
+
+        const { phase, collection, currentJobId } = this.state;
+
+        if (phase === 'collecting' && collection) {
+            this.logger.info('Resuming job collection from checkpoint', collection);
+            this.run(() => this.collectJobs());
+        } else if (phase === 'analyzing' && this.state.savedSearchRun) {
+            this.logger.info('Resuming saved search analysis from checkpoint', this.state.savedSearchRun);
+            this.run(async () => {
+                await this.analyzeSavedSearchJobs();
+                await this.completeSavedSearchRun();
+            });
+        } else if (phase === 'processing' && this.state.nextActionAt) {
+            // Waiting between jobs: re-arm the wait rather than skipping it
+            this.armNextAction();
+        } else if (phase === 'processing') {
+            this.logger.info('Resuming job processing from checkpoint', { currentJobId });
+            this.run(() => this.processJobQueue());
+        } else if (phase === 'applying') {
+            // The Easy Apply wizard cannot be resumed mid-way, so ask for confirmation again
+            const job = this.findJob(currentJobId);
+            if (job) {
+                setJobStatus(job, 'reviewing');
+                await this.saveJobQueue();
+            }
+            await this.setState({ phase: job ? 'reviewing' : 'idle', reviewStage: job ? 'application' : null });
+            this.setStatus('Applying was interrupted. Please confirm the application again.', 'error');
+        }
+    }
+
+    /**
+     * State and queue as sent to the popup
+     */
+    snapshot() {
+        return { state: this.state, jobQueue: this.jobQueue, savedSearches: this.savedSearches, llmUsage: this.llmUsage };
+    }
+
+    /**
+     * Merge a state change, checkpoint it and notify listeners
+     */
+    async setState(changes) {
+        this.state = { ...this.state, ...changes };
+        await chrome.storage.local.set({ pipelineState: this.state });
+        this.updateKeepalive();
+        this.onChange(this.snapshot());
+    }
+
+    setStatus(message, type = 'info') {
+        this.logger.info(`Status: ${message}`);
+        this.setState({ status: { message, type, timestamp: Date.now() } });
+    }
+
+    /**
+     * Keep the service worker alive with an alarm only while work is in progress
+     * Paced waits have their own alarm, so the worker may sleep through them
+     */
+    updateKeepalive() {
+        if (PIPELINE_ACTIVE_PHASES.includes(this.state.phase) && !this.state.isPaused && !this.state.nextActionAt) {
+            chrome.alarms.get(PIPELINE_KEEPALIVE_ALARM).then(alarm => {
+                if (!alarm) chrome.alarms.create(PIPELINE_KEEPALIVE_ALARM, { periodInMinutes: 0.5 });
+            });
+        } else {
+            chrome.alarms.clear(PIPELINE_KEEPALIVE_ALARM);
+        }
+    }
+
+    /**
+     * Run a unit of work, reporting unexpected errors instead of losing them
+     */
+    async run(work) {
+        this.running = true;
+        try {
+            await work();
+        } catch (error) {
+            this.logger.error('Pipeline error', error);
+            if (this.state.savedSearchRun) {
+                await this.completeSavedSearchRun(error);
+            } else {
+                await this.setState({ phase: 'idle' });
+                this.setStatus(`Processing stopped: ${error.message}`, 'error');
+            }
+        } finally {
+            this.running = false;
+            // A wait that ended while this work was still running has to be picked up now
+            if (this.state.nextActionAt) this.armNextAction();
+        }
+    }
+
+    /**
+     * Pacing rules from the saved settings
+     */
+    async loadPacer() {
+        const { pacing } = await chrome.storage.local.get(['pacing']);
+        return new Pacer(pacing);
+    }
+
+    /**
+     * Schedule the next queue step after a paced wait
+     * @param {'ok'|'error'} outcome - How the last job ended; errors lengthen the wait
+     */
+    async scheduleNext(outcome = 'ok') {
+        const consecutiveErrors = outcome === 'error' ? this.state.consecutiveErrors + 1 : 0;
+        const appliedTimes = this.jobQueue.filter(job => job.appliedDate).map(job => Date.parse(job.appliedDate));
+        const pacer = await this.loadPacer();
+        const { at, reason } = pacer.nextActionTime({ appliedTimes, consecutiveErrors });
+
+        this.logger.info('Next job scheduled', { at: new Date(at).toISOString(), reason });
+        await this.setState({ phase: 'processing', consecutiveErrors, nextActionAt: at, nextActionReason: reason });
+        this.armNextAction();
+    }
+
+    /**
+     * Arm the alarm and timer for the scheduled next action
+     * Alarms survive the worker being suspended but fire no sooner than 30 seconds;
+     * the timer covers shorter waits while the worker is awake
+     */
+    armNextAction() {
+        const { nextActionAt } = this.state;
+        if (!nextActionAt) return;
+
+        chrome.alarms.create(PIPELINE_NEXT_ACTION_ALARM, { when: nextActionAt });
+        clearTimeout(this.nextActionTimer);
+        this.nextActionTimer = setTimeout(() => this.runScheduledAction(), Math.max(0, nextActionAt - Date.now()));
+    }
+
+    /**
+     * Run the scheduled next action once its time has come
+     */
+    async runScheduledAction() {
+        const { nextActionAt, isPaused } = this.state;
+        if (!nextActionAt || isPaused || this.running) return;
+
+        if (Date.now() < nextActionAt - 1000) {
+            this.armNextAction();
+            return;
+        }
+
+        await this.clearNextAction();
+        this.run(() => this.processJobQueue());
+    }
+
+    /**
+     * Cancel a scheduled next action
+     */
+    async clearNextAction() {
+        clearTimeout(this.nextActionTimer);
+        await chrome.alarms.clear(PIPELINE_NEXT_ACTION_ALARM);
+        await this.setState({ nextActionAt: null, nextActionReason: null });
+    }
+
+    findJob(postId) {
+        return this.jobQueue.find(job => job.post_id === postId) || null;
+    }
+
+    get currentJob() {
+        return this.findJob(this.state.currentJobId);
+    }
+
+    /**
+     * The LinkedIn tab the pipeline works in
+     */
+    async getWorkTab() {
+        try {
+            return await chrome.tabs.get(this.state.tabId);
+        } catch (error) {
+            throw new Error('The LinkedIn tab used for applying was closed');
+        }
+    }
+
+    /**
+     * Handle a command sent by the popup
+     */
+    async handleCommand(command) {
+        this.logger.info('Pipeline command', { type: command.command });
+
+        if (this.state.savedSearchRun && SAVED_SEARCH_BLOCKED_COMMANDS.includes(command.command)) {
+            this.setStatus('A saved search is running in the background. Try again when it has finished.', 'info');
+            return;
+        }
+
+        switch (command.command) {
+            case 'START':
+                return this.start(command.tabId, command.profileId);
+            case 'PAUSE':
+                return this.pause();
+            case 'APPROVE':
+                return this.run(() => this.confirmApplication(command.coverLetter));
+            case 'DECLINE':
+                return this.declineApplication();
+            case 'REGENERATE_COVER_LETTER':
+                return this.regenerateCoverLetter(command.instruction, command.coverLetter, command.requestId);
+            case 'REVERT_COVER_LETTER':
+                return this.revertCoverLetter(command.version, command.coverLetter);
+            case 'PROCESS_JOB':
+                return this.processSpecificJob(command.postId, command.tabId);
+            case 'RETRY_JOB':
+                return this.retryJob(command.postId, command.tabId);
+            case 'RETRY_FAILED':
+                return this.retryFailedJobs();
+            case 'TOGGLE_STAR':
+                return this.toggleJobStar(command.postId);
+            case 'SET_JOB_STATUS':
+                return this.setTrackingStatus(command.postId, command.status);
+            case 'SAVE_JOB_NOTES':
+                return this.saveJobNotes(command.postId, command.notes);
+            case 'CLEAR_DATA':
+                return this.clearAllData();
+            case 'IMPORT_QUEUE':
+                return this.importJobs(command.jobs);
+            case 'SAVE_SEARCH':
+                return this.saveSearch(command.search);
+            case 'DELETE_SEARCH':
+                return this.deleteSearch(command.searchId);
+            case 'TOGGLE_SEARCH':
+                return this.updateSavedSearch(command.searchId, { enabled: !this.findSavedSearch(command.searchId)?.enabled });
+            case 'RUN_SEARCH':
+                return this.runSavedSearch(command.searchId);
+            default:
+                this.logger.warn('Unknown pipeline command', command);
+        }
+    }
+
+    /**
+     * Start the job application process for a profile in the given LinkedIn tab
+     */
+    async start(tabId, profileId) {
+        if (this.running) {
+            this.setStatus('Already processing jobs.', 'info');
+            return;
+        }
+
+        const settings = await chrome.storage.local.get(['maxPages', 'targetJobCount']);
+        const profile = await getProfile(profileId);
+        await this.clearNextAction();
+        await this.setState({
+            phase: 'collecting',
+            isPaused: false,
+            consecutiveErrors: 0,
+            tabId,
+            currentJobId: null,
+            reviewStage: null,
+            collection: {
+                page: 1,
+                maxPages: parseInt(settings.maxPages, 10) || DEFAULT_MAX_PAGES,
+                targetJobCount: parseInt(settings.targetJobCount, 10) || DEFAULT_TARGET_JOB_COUNT,
+                scraped: 0,
+                collected: 0,
+                profileId: profile.id
+            }
+        });
+        this.setStatus(`Starting job application process for "${profile.name}"...`, 'info');
+
+        this.run(() => this.collectJobs());
+    }
+
+    /**
+     * Pause the application process
+     * Work already in flight finishes; nothing new is started
+     */
+    async pause() {
+        await this.clearNextAction();
+        await this.setState({ isPaused: true, phase: this.state.phase === 'reviewing' ? 'reviewing' : 'idle' });
+        this.setStatus('Application process paused.', 'info');
+        this.logger.info('Application process paused');
+    }
+
+    /**
+     * Pause because an LLM budget is used up; the job being prepared stays pending
+     */
+    async pauseForBudget(error) {
+        this.logger.warn('LLM budget reached', error.message);
+        await this.clearNextAction();
+        await this.setState({ isPaused: true, phase: 'idle' });
+        this.setStatus(`${error.message} Processing paused; raise the budget in Settings or start again later.`, 'error');
+    }
+
+    /**
+     * Walk the search results page by page using the start= offset and add each
+     * page's jobs to the queue as soon as it has been read
+     * Progress is checkpointed per page so a restarted worker continues where it stopped
+     */
+    async collectJobs() {
+        const tab = await this.getWorkTab();
+        const progress = { ...this.state.collection };
+        const profile = await getProfile(progress.profileId);
+        const pacer = await this.loadPacer();
+        const seenIds = new Set(this.jobQueue.map(job => job.post_id));
+
+        this.logger.info('Collecting jobs from search results', progress);
+
+        for (; progress.page <= progress.maxPages; progress.page++) {
+            if (this.state.isPaused) {
+                this.logger.info('Job collection stopped because the process was paused', { page: progress.page });
+                break;
+            }
+
+            await this.setState({ collection: { ...progress } });
+
+            if (progress.page > 1) {
+                await pacer.waitBeforePageLoad();
+            }
+
+            // Saved searches carry their own keywords and filters
+            const keywords = progress.keywords ?? profile.keywords;
+            const searchFilters = progress.searchFilters ?? profile.searchFilters;
+            const searchUrl = this.buildSearchUrl(keywords, searchFilters, (progress.page - 1) * RESULTS_PAGE_SIZE);
+
+            // A saved search's background tab is opened on its first results page already
+            const current = await chrome.tabs.get(tab.id);
+            if ((current.pendingUrl || current.url) === searchUrl) {
+                await this.contentClient.waitForLoad(tab.id);
+            } else {
+                await this.contentClient.navigate(tab.id, searchUrl);
+            }
+
+            let result;
+            try {
+                result = await this.contentClient.request(tab.id, 'scrapeResultsPage');
+            } catch (error) {
+                this.logger.error(`Results page ${progress.page} could not be scraped`, error);
+                result = { jobs: [], hasNextPage: false };
+            }
+
+            const pageJobs = result.jobs
+                .filter(job => !seenIds.has(job.post_id))
+                .slice(0, progress.targetJobCount - progress.collected);
+
+            pageJobs.forEach(job => {
+                seenIds.add(job.post_id);
+                job.profileId = profile.id;
+                if (progress.savedSearchId) job.savedSearchId = progress.savedSearchId;
+            });
+            progress.scraped += result.jobs.length;
+            progress.collected += pageJobs.length;
+
+            this.logger.info(`Results page ${progress.page} scraped`, { found: result.jobs.length, new: pageJobs.length });
+            const addedJobs = await this.addScrapedJobs(pageJobs);
+            progress.ruleSkipped = (progress.ruleSkipped || 0) + addedJobs.filter(job => job.skippedByRule).length;
+
+            if (progress.collected >= progress.targetJobCount || !result.hasNextPage) {
+                break;
+            }
+        }
+
+        await this.finishCollection(progress);
+    }
+
+    /**
+     * Build the LinkedIn job search URL for the saved filters and a results offset
+     */
+    buildSearchUrl(keywords, filters = {}, start = 0) {
+        const params = new URLSearchParams({ keywords });
+
+        if (filters.location) params.set('location', filters.location);
+        if (filters.geoId) params.set('geoId', filters.geoId);
+
+        Object.entries(SEARCH_FILTER_PARAMS).forEach(([field, param]) => {
+            const value = Array.isArray(filters[field]) ? filters[field].join(',') : filters[field];
+            if (value) {
+                params.set(param, value);
+            }
+        });
+
+        if (filters.easyApplyOnly) params.set('f_AL', 'true');
+        if (start > 0) params.set('start', start);
+
+        return `https://www.linkedin.com/jobs/search/?${params.toString()}`;
+    }
+
+    /**
+     * Add scraped jobs to the queue, skipping ones already in it
+     * Jobs that break a filter rule on their card alone are added as skipped
+     */
+    async addScrapedJobs(newJobs) {
+        const existingIds = new Set(this.jobQueue.map(job => job.post_id));
+        const uniqueJobs = (newJobs || []).filter(job => !existingIds.has(job.post_id));
+
+        if (uniqueJobs.length > 0) {
+            const rules = await loadJobRules();
+            uniqueJobs.forEach(job => {
+                job.timeline = [{ status: job.status, at: job.dateFound || new Date().toISOString() }];
+                this.applyJobRules(job, rules, 'card');
+            });
+            this.jobQueue.push(...uniqueJobs);
+            await this.updateLocalScores();
+            await this.saveJobQueue();
+        }
+
+        return uniqueJobs;
+    }
+
+    /**
+     * Score every job against its profile's CVs and criteria, without any API call
+     * Scores are relative to the rest of the profile's queue, so all of them are redone together
+     */
+    async updateLocalScores() {
+        const cvVariants = await loadCvVariants();
+        const { profiles } = await loadProfiles();
+        const profileIds = [...new Set(this.jobQueue.map(job => job.profileId))];
+
+        for (const profileId of profileIds) {
+            // Jobs of a deleted profile keep their last scores
+            const profile = profiles.find(candidate => candidate.id === profileId);
+            if (!profile) continue;
+
+            const referenceText = [...cvCandidatesFor(profile, cvVariants).map(candidate => candidate.text), profile?.criteria || ''].join('\n');
+            scoreJobsLocally(this.jobQueue.filter(job => job.profileId === profileId), referenceText);
+        }
+    }
+
+    /**
+     * Skip a pending job that breaks a filter rule, recording which rule and why
+     * @returns {boolean} Whether the job was skipped
+     */
+    applyJobRules(job, rules, stage) {
+        const broken = findBrokenJobRule(job, rules, stage);
+        if (!broken) return false;
+
+        job.skippedByRule = broken;
+        setJobStatus(job, 'skipped');
+        this.logger.info('Job skipped by rule', { job: job.jobTitle, rule: broken.name, reason: broken.reason });
+        return true;
+    }
+
+    /**
+     * Report the collection result and start processing the queue
+     */
+    async finishCollection({ scraped, collected, ruleSkipped = 0 }) {
+        await this.setState({ collection: null });
+
+        if (this.state.savedSearchRun) {
+            await this.finishSavedSearchCollection(collected);
+            return;
+        }
+
+        if (scraped === 0) {
+            await this.setState({ phase: 'idle' });
+            this.setStatus('No jobs found. Try different keywords or check if you\'re on the jobs page.', 'error');
+            return;
+        }
+
+        // Saved searches may have left analyzed jobs waiting for review
+        const queuedCount = this.jobQueue.filter(job => job.queuedForReview).length;
+
+        if (collected === 0 && queuedCount === 0) {
+            await this.setState({ phase: 'idle' });
+            this.setStatus('No new jobs found. All jobs are already in the queue.', 'info');
+            return;
+        }
+
+        if (this.state.isPaused) {
+            this.setStatus(`Collected ${collected} new jobs before pausing.`, 'info');
+            return;
+        }
+
+        const found = queuedCount > 0 ? `${collected} new jobs and ${queuedCount} ready for review` : `${collected} new jobs`;
+        const skipped = ruleSkipped > 0 ? ` (${ruleSkipped} skipped by rules)` : '';
+        this.setStatus(`Found ${found}${skipped}. Starting to process...`, 'success');
+
+        // Start processing the queue after a paced wait
+        await this.scheduleNext();
+    }
+
+    findSavedSearch(searchId) {
+        return this.savedSearches.find(search => search.id === searchId) || null;
+    }
+
+    /**
+     * Store the saved searches, bring their alarms in line and notify listeners
+     */
+    async saveSavedSearches() {
+        await chrome.storage.local.set({ savedSearches: this.savedSearches });
+        await syncSavedSearchAlarms(this.savedSearches);
+        this.onChange(this.snapshot());
+    }
+
+    async saveSearch(fields) {
+        if (!fields?.keywords) {
+            this.setStatus('Please enter job keywords before saving a search.', 'error');
+            return;
+        }
+
+        const search = createSavedSearch(fields);
+        this.savedSearches.push(search);
+        await this.saveSavedSearches();
+        this.setStatus(`Saved search "${search.name}" will run every ${search.intervalHours} hours.`, 'success');
+    }
+
+    async deleteSearch(searchId) {
+        this.savedSearches = this.savedSearches.filter(search => search.id !== searchId);
+        await this.saveSavedSearches();
+    }
+
+    async updateSavedSearch(searchId, changes) {
+        const search = this.findSavedSearch(searchId);
+        if (!search) return;
+
+        Object.assign(search, changes);
+        await this.saveSavedSearches();
+    }
+
+    /**
+     * Run a saved search in a background tab, adding only jobs not already in the queue
+     * Runs only outside quiet hours while the pipeline is idle or waiting on a review, and puts it back afterwards
+     */
+    async runSavedSearch(searchId) {
+        const search = this.findSavedSearch(searchId);
+        if (!search) return;
+
+        const { phase, isPaused, tabId, currentJobId, reviewStage } = this.state;
+        if (this.running || !['idle', 'reviewing'].includes(phase)) {
+            this.logger.info('Saved search skipped while the pipeline is busy', { search: search.name, phase });
+            await this.updateSavedSearch(searchId, {
+                lastRunAt: new Date().toISOString(),
+                lastResult: 'Skipped: the pipeline was busy'
+            });
+            return;
+        }
+
+        const pacer = await this.loadPacer();
+        if (pacer.quietHoursEnd(Date.now())) {
+            this.logger.info('Saved search skipped during quiet hours', { search: search.name });
+            await this.updateSavedSearch(searchId, {
+                lastRunAt: new Date().toISOString(),
+                lastResult: `Skipped: quiet hours until ${pacer.settings.quietHoursEnd}`
+            });
+            return;
+        }
+
+        const settings = await chrome.storage.local.get(['maxPages', 'targetJobCount']);
+        const tab = await chrome.tabs.create({ url: this.buildSearchUrl(search.keywords, search.searchFilters), active: false });
+
+        await this.setState({
+            phase: 'collecting',
+            isPaused: false,
+            tabId: tab.id,
+            currentJobId: null,
+            reviewStage: null,
+            savedSearchRun: {
+                searchId,
+                startedAt: new Date().toISOString(),
+                previous: { phase, isPaused, tabId, currentJobId, reviewStage }
+            },
+            collection: {
+                page: 1,
+                maxPages: parseInt(settings.maxPages, 10) || DEFAULT_MAX_PAGES,
+                targetJobCount: parseInt(settings.targetJobCount, 10) || DEFAULT_TARGET_JOB_COUNT,
+                scraped: 0,
+                collected: 0,
+                keywords: search.keywords,
+                searchFilters: search.searchFilters,
+                savedSearchId: searchId,
+                profileId: search.profileId
+            }
+        });
+        this.setStatus(`Running saved search "${search.name}"...`, 'info');
+
+        this.run(() => this.collectJobs());
+    }
+
+    /**
+     * Jobs the current saved search run added to the queue
+     */
+    savedSearchRunJobs() {
+        const { searchId, startedAt } = this.state.savedSearchRun;
+        return this.jobQueue.filter(job => job.savedSearchId === searchId && job.dateFound >= startedAt);
+    }
+
+    async finishSavedSearchCollection(collected) {
+        const search = this.findSavedSearch(this.state.savedSearchRun.searchId);
+
+        if (search?.analyze && collected > 0 && !this.state.isPaused) {
+            await this.setState({ phase: 'analyzing' });
+            await this.analyzeSavedSearchJobs();
+        }
+
+        await this.completeSavedSearchRun();
+    }
+
+    /**
+     * Analyze the jobs a saved search found so they are ready for review
+     * Jobs that cannot be analyzed keep the skipped or failed status prepareJob gives them
+     */
+    async analyzeSavedSearchJobs() {
+        const pacer = await this.loadPacer();
+        // Best local matches first, in case the run is paused or the budget runs out
+        const pendingJobs = this.savedSearchRunJobs()
+            .filter(job => job.status === 'pending')
+            .sort((a, b) => (b.localScore ?? -1) - (a.localScore ?? -1));
+
+        for (const [index, job] of pendingJobs.entries()) {
+            if (this.state.isPaused) break;
+
+            // The same pause between jobs as the queue loop, so background runs keep a human pace
+            if (index > 0) {
+                await pacer.waitBetweenJobs();
+                if (this.state.isPaused || pacer.quietHoursEnd(Date.now())) break;
+            }
+            await pacer.waitBeforePageLoad();
+            try {
+                if (await this.prepareJob(job)) {
+                    job.queuedForReview = true;
+                    await this.saveJobQueue();
+                }
+            } catch (error) {
+                if (error instanceof LLMBudgetError) {
+                    this.logger.warn('Saved search analysis stopped', error.message);
+                    break;
+                }
+                this.logger.error('Saved search could not analyze job', { job: job.jobTitle, error: error.message });
+            }
+        }
+    }
+
+    /**
+     * Close the background tab, record the result and put the pipeline back as it was
+     */
+    async completeSavedSearchRun(error = null) {
+        const { searchId, startedAt, previous } = this.state.savedSearchRun;
+        const search = this.findSavedSearch(searchId);
+        const jobs = this.savedSearchRunJobs();
+        const queued = jobs.filter(job => job.queuedForReview).length;
+
+        let lastResult = `${jobs.length} new jobs`;
+        if (queued > 0) lastResult += `, ${queued} ready for review`;
+        if (error) lastResult = `Failed: ${error.message}`;
+
+        try {
+            await chrome.tabs.remove(this.state.tabId);
+        } catch (removeError) {
+            // The tab was already closed
+        }
+
+        await this.setState({
+            ...previous,
+            isPaused: previous.isPaused || this.state.isPaused,
+            collection: null,
+            savedSearchRun: null
+        });
+        await this.updateSavedSearch(searchId, { lastRunAt: startedAt, lastResult });
+
+        this.logger.info('Saved search finished', { search: search?.name, result: lastResult });
+        this.setStatus(`Saved search "${search?.name || 'deleted search'}": ${lastResult}`, error ? 'error' : 'success');
+    }
+
+    /**
+     * Process the next pending job, or the given one
+     * Ends in the reviewing phase, waiting for the popup to approve or decline
+     */
+    async processJobQueue(postId = null) {
+        if (this.state.isPaused) return;
+
+        // The most promising pending job by local score, or one a saved search already analyzed;
+        // scores are refreshed first so CV and criteria changes are picked up
+        await this.updateLocalScores();
+        const nextJob = (postId && this.findJob(postId)) ||
+                        highestLocalScore(this.jobQueue.filter(job => job.status === 'pending' || (job.status === 'reviewing' && job.queuedForReview)));
+        
+        if (!nextJob) {
+            await this.setState({ phase: 'idle', currentJobId: null });
+            this.setStatus('All jobs have been processed!', 'success');
+            return;
+        }
+
+        await this.setState({ phase: 'processing', currentJobId: nextJob.post_id, reviewStage: null });
+        this.setStatus(`Processing: ${nextJob.jobTitle} at ${nextJob.company}`, 'info');
+
+        try {
+            if (nextJob.status === 'pending' && !await this.prepareJob(nextJob)) {
+                // Skipped by a filter rule before analysis
+                await this.continueQueue();
+                return;
+            }
+        } catch (error) {
+            if (error instanceof LLMBudgetError) {
+                await this.pauseForBudget(error);
+                return;
+            }
+
+            this.logger.error('Error processing job', error);
+            if (nextJob.status === 'pending') {
+                setJobStatus(nextJob, 'skipped');
+                nextJob.error = error.message;
+                await this.saveJobQueue();
+            }
+            
+            // Continue with next job
+            await this.continueQueue('error');
+            return;
+        }
+
+        await this.handleAnalyzedJob(nextJob);
+    }
+
+    /**
+     * Move on to the next job after one ended without a review, unless a pause came in meanwhile
+     * @param {'ok'|'error'} outcome
+     */
+    async continueQueue(outcome = 'ok') {
+        if (this.state.isPaused) {
+            await this.setState({ phase: 'idle', currentJobId: null });
+            return;
+        }
+        await this.scheduleNext(outcome);
+    }
+
+    /**
+     * Scrape a job's description and analyze it, leaving the job in the reviewing status
+     * The job is marked skipped or failed before the error is rethrown
+     * @returns {Promise<boolean>} false when a filter rule skipped the job before analysis
+     */
+    async prepareJob(job) {
+        job.description = await this.scrapeJobDescription(job);
+        job.metadata = extractJobMetadata(job);
+        await this.updateLocalScores();
+
+        if (this.applyJobRules(job, await loadJobRules(), 'description')) {
+            await this.saveJobQueue();
+            this.setStatus(`Skipped ${job.jobTitle}: rule "${job.skippedByRule.name}" (${job.skippedByRule.reason})`, 'info');
+            return false;
+        }
+        await this.saveJobQueue();
+
+        await this.analyzeJobWithAI(job);
+        return true;
+    }
+
+    /**
+     * Scrape job description for a specific job
+     * Waits for the posting to load and for the description to render instead of fixed delays
+     */
+    async scrapeJobDescription(job) {
+        const tab = await this.getWorkTab();
+
+        // Navigate to job posting
+        await this.contentClient.navigate(tab.id, job.url);
+
+        try {
+            const { description } = await this.contentClient.request(tab.id, 'scrapeJobDescription');
+            return description;
+        } catch (error) {
+            this.logger.error('Error scraping job description', error);
+            setJobStatus(job, 'skipped');
+            job.error = error.message;
+            await this.saveJobQueue();
+            throw error;
+        }
+    }
+
+    /**
+     * Analysis prompt and reply schema for a job
+     * With several CVs to choose from, the posting is scored against each of them in the same request
+     * @param {{ style: Object, template: Object|null }} coverLetter - Style guide and template for the letter
+     */
+    buildAnalysisPrompt(job, profile, candidates, coverLetter) {
+        const instructions = coverLetterInstructions(coverLetter.style, coverLetter.template, job);
+
+        const jobSection = `Job Title: ${job.jobTitle}
+Company: ${job.company}
+Job Description: ${job.description}`;
+
+        if (candidates.length <= 1) {
+            return {
+                schema: { ...ANALYSIS_SCHEMA, coverLetter: coverLetterRule(coverLetter.style) },
+                prompt: `
+You are an AI assistant helping with job applications. Please analyze this job posting and provide a response in JSON format.
+
+${jobSection}
+
+User's CV: ${candidates[0]?.text || ''}
+User's Criteria: ${profile.criteria}
+
+Please provide a JSON response with:
+1. matchScore: A number from 0-100 indicating how well this job matches the user's profile and criteria
+2. coverLetter: A personalized cover letter for this specific job, following the cover letter instructions below
+
+${instructions}
+
+Format your response as valid JSON only:
+{
+  "matchScore": number,
+  "coverLetter": "string"
+}
+`
+            };
+        }
+
+        const cvSection = candidates.map(candidate => `--- CV "${candidate.id}" (${candidate.name}) ---\n${candidate.text}`).join('\n\n');
+
+        return {
+            schema: { ...cvVariantAnalysisSchema(candidates.map(candidate => candidate.id)), coverLetter: coverLetterRule(coverLetter.style) },
+            prompt: `
+You are an AI assistant helping with job applications. The user has several versions of their CV. Please score this job posting against each version and provide a response in JSON format.
+
+${jobSection}
+
+User's Criteria: ${profile.criteria}
+
+User's CV versions:
+${cvSection}
+
+Please provide a JSON response with:
+1. variantScores: One entry per CV version, with its variantId and a score from 0-100 indicating how well this job matches that version and the user's criteria
+2. coverLetter: A personalized cover letter for this specific job based on the highest-scoring CV version, following the cover letter instructions below
+
+${instructions}
+
+Format your response as valid JSON only:
+{
+  "variantScores": [{ "variantId": "string", "score": number }],
+  "coverLetter": "string"
+}
+`
+        };
+    }
+
+    /**
+     * Analyze job with the configured LLM provider
+     * Records the best-fitting CV variant and, when there were several, the score of each.
+     * An analysis cached for the same prompt and model is reused without calling the LLM.
+     */
+    async analyzeJobWithAI(job) {
+        try {
+            const profile = await getProfile(job.profileId);
+            const cvVariants = await loadCvVariants();
+            const candidates = cvCandidatesFor(profile, cvVariants);
+            if (candidates.length === 0) {
+                throw new Error('No CV for this job: its profile has no CV and no CV variants');
+            }
+            const { template, style } = await loadCoverLetterSettings();
+            const { prompt, schema } = this.buildAnalysisPrompt(job, profile, candidates, { template, style });
+
+            const cacheKey = await analysisCacheKey(prompt, (await this.loadLLMProvider()).describe());
+            const cached = getCachedAnalysis(this.analysisCache, cacheKey);
+            let aiResponse, llm, attempts, fixes;
+
+            if (cached) {
+                this.logger.info('Using cached analysis', { job: job.jobTitle, analyzedFor: cached.postId, createdAt: cached.createdAt });
+                this.setStatus(`Reusing the cached analysis for ${job.jobTitle}.`, 'info');
+                ({ data: aiResponse, llm } = cached);
+                attempts = 0;
+                fixes = [];
+                job.cachedAnalysis = { createdAt: cached.createdAt, postId: cached.postId };
+            } else {
+                let completion;
+                ({ data: aiResponse, completion, attempts, fixes } = await this.requestStructuredCompletion(prompt, schema, job));
+                llm = completion.llm;
+                storeCachedAnalysis(this.analysisCache, cacheKey, { data: aiResponse, llm, postId: job.post_id });
+                delete job.cachedAnalysis;
+            }
+            await chrome.storage.local.set({ analysisCache: this.analysisCache });
+
+            let chosen = candidates[0] || null;
+            if (aiResponse.variantScores) {
+                job.cvVariantScores = candidates.map(candidate => ({
+                    variantId: candidate.id,
+                    name: candidate.name,
+                    score: aiResponse.variantScores.find(entry => entry.variantId === candidate.id)?.score ?? null
+                }));
+                const best = job.cvVariantScores.reduce((top, entry) => entry.score !== null && (!top || entry.score > top.score) ? entry : top, null);
+                chosen = candidates.find(candidate => candidate.id === best.variantId);
+                job.matchScore = best.score;
+            } else {
+                delete job.cvVariantScores;
+                job.matchScore = aiResponse.matchScore;
+            }
+            job.cvVariant = chosen ? { id: chosen.id, name: chosen.name } : null;
+
+
+            // Update job with AI analysis
+            job.llm = llm;
+            job.coverLetter = aiResponse.coverLetter;
+            job.coverLetterTemplate = template ? { id: template.id, name: template.name } : null;
+            job.coverLetterVersions = [{
+                text: aiResponse.coverLetter,
+                source: 'ai',
+                instruction: null,
+                template: job.coverLetterTemplate,
+                at: new Date().toISOString()
+            }];
+            job.aiAttempts = attempts;
+            job.aiFixes = fixes;
+            setJobStatus(job, 'reviewing');
+            delete job.error;
+            
+            await this.saveJobQueue();
+
+        } catch (error) {
+            // Nothing was sent; the job stays pending until there is budget again
+            if (error instanceof LLMBudgetError) throw error;
+
+            // Analysis failures are kept apart from declined jobs so they can be retried
+            this.logger.error('Error analyzing job with AI', error);
+            setJobStatus(job, 'failed');
+            job.error = `AI analysis failed: ${error.message}`;
+            job.failedAttempts = (job.failedAttempts || 0) + 1;
+            await this.saveJobQueue();
+            throw error;
+        }
+    }
+
+    /**
+     * Prompt for rewriting a cover letter under review, following the user's instruction
+     */
+    buildCoverLetterPrompt(job, cvText, instruction, style) {
+        return `
+You are an AI assistant helping with job applications. Please rewrite the cover letter below for this job posting and provide a response in JSON format.
+
+Job Title: ${job.jobTitle}
+Company: ${job.company}
+Job Description: ${job.description}
+
+User's CV: ${cvText}
+
+Current cover letter:
+${job.coverLetter}
+
+Instruction: ${instruction || 'Write a different version with the same facts.'}
+
+Only use experience that is in the CV. Follow the cover letter instructions below unless the instruction says otherwise.
+
+${coverLetterInstructions(style, null, job)}
+
+Format your response as valid JSON only:
+{
+  "coverLetter": "string"
+}
+`;
+    }
+
+    /**
+     * Make a new cover letter version the job's current letter
+     * Versions are kept in order, oldest first; the last one is always the current letter.
+     * Each records the template it follows, which edits and regenerations keep from the current letter.
+     * @param {{ id: string, name: string }|null} [template] - Defaults to the current letter's template
+     */
+    addCoverLetterVersion(job, text, source, instruction = null, template = job.coverLetterTemplate || null) {
+        if (!job.coverLetterVersions) {
+            job.coverLetterVersions = job.coverLetter
+                ? [{ text: job.coverLetter, source: 'ai', instruction: null, template: job.coverLetterTemplate || null, at: null }]
+                : [];
+        }
+        job.coverLetterVersions.push({ text, source, instruction, template, at: new Date().toISOString() });
+        job.coverLetter = text;
+        job.coverLetterTemplate = template;
+    }
+
+    /**
+     * Keep the user's edits to the cover letter under review as a version of their own
+     */
+    applyCoverLetterEdit(job, text) {
+        if (typeof text !== 'string' || !text.trim() || text === job.coverLetter) return;
+        this.addCoverLetterVersion(job, text, 'edited');
+    }
+
+    /**
+     * Ask the LLM for a new version of the cover letter under review
+     */
+    async regenerateCoverLetter(instruction, editedText, requestId = null) {
+        const job = this.currentJob;
+        if (!job || this.state.phase !== 'reviewing' || this.state.reviewStage !== 'application') {
+            await this.finishCoverLetterRegeneration(requestId, 'There is no cover letter under review to regenerate.', 'error');
+            return;
+        }
+
+        if (this.regeneratingCoverLetter) {
+            await this.finishCoverLetterRegeneration(requestId, 'The cover letter is already being regenerated.', 'info');
+            return;
+        }
+
+        this.regeneratingCoverLetter = true;
+        await this.setState({ coverLetterRegeneration: { requestId, done: false } });
+        this.applyCoverLetterEdit(job, editedText);
+        this.setStatus('Regenerating the cover letter...', 'info');
+
+        try {
+            const profile = await getProfile(job.profileId);
+            const cvVariants = await loadCvVariants();
+            const { style } = await loadCoverLetterSettings();
+            const prompt = this.buildCoverLetterPrompt(job, cvTextForJob(job, profile, cvVariants), instruction?.trim(), style);
+            const { data } = await this.requestStructuredCompletion(prompt, { ...COVER_LETTER_SCHEMA, coverLetter: coverLetterRule(style) }, job);
+
+            // The review may have been settled while the request was running
+            if (this.currentJob !== job || this.state.phase !== 'reviewing') {
+                await this.finishCoverLetterRegeneration(requestId, 'The review ended before the new cover letter was ready.', 'info');
+                return;
+            }
+
+            this.addCoverLetterVersion(job, data.coverLetter, 'regenerated', instruction?.trim() || null);
+            await this.saveJobQueue();
+            await this.finishCoverLetterRegeneration(requestId, 'Cover letter regenerated.', 'success');
+        } catch (error) {
+            this.logger.error('Error regenerating cover letter', error);
+            await this.saveJobQueue();
+            await this.finishCoverLetterRegeneration(requestId, `Could not regenerate the cover letter: ${error.message}`, 'error');
+        } finally {
+            this.regeneratingCoverLetter = false;
+        }
+    }
+
+    /**
+     * Tell the popup that its regeneration request is over, and how it ended
+     * The popup keeps its Regenerate button busy until it sees its request id marked done
+     */
+    async finishCoverLetterRegeneration(requestId, message, type) {
+        await this.setState({ coverLetterRegeneration: { requestId, done: true } });
+        this.setStatus(message, type);
+    }
+
+    /**
+     * Make an earlier cover letter version current again
+     * @param {number} version - Index into the job's coverLetterVersions
+     */
+    async revertCoverLetter(version, editedText) {
+        const job = this.currentJob;
+        if (!job || this.state.phase !== 'reviewing' || this.state.reviewStage !== 'application') return;
+
+        this.applyCoverLetterEdit(job, editedText);
+
+        const target = job.coverLetterVersions?.[version];
+        if (!target) return;
+
+        // Versions saved before templates were recorded follow the current letter's template
+        const template = target.template !== undefined ? target.template : job.coverLetterTemplate || null;
+        this.addCoverLetterVersion(job, target.text, 'reverted', `version ${version + 1}`, template);
+        await this.saveJobQueue();
+        this.setStatus(`Reverted the cover letter to version ${version + 1}.`, 'success');
+    }
+
+    /**
+     * Apply, decline or wait for review depending on the auto-apply rules
+     */
+    async handleAnalyzedJob(job) {
+        const { autoApply } = await chrome.storage.local.get(['autoApply']);
+        const decision = decideAutoAction(job, autoApply, countAppliedToday(this.jobQueue));
+
+        if (autoApply?.enabled) {
+            job.autoDecision = { ...decision, decidedAt: new Date().toISOString() };
+            this.logger.info('Auto-apply decision', { job: job.jobTitle, ...decision });
+        }
+
+        // Jobs analyzed ahead of time leave the review queue once they are picked up
+        delete job.queuedForReview;
+        await this.saveJobQueue();
+
+        await this.setState({ phase: 'reviewing', reviewStage: 'application' });
+
+        if (this.state.isPaused) {
+            // Nothing runs on its own while paused; the job waits for review
+            this.setStatus('Paused. Please review the generated application.', 'info');
+        } else if (decision.action === 'apply') {
+            this.setStatus(`Auto-applying to ${job.jobTitle}: ${decision.reason}`, 'info');
+            await this.confirmApplication();
+        } else if (decision.action === 'decline') {
+            this.setStatus(`Auto-declined ${job.jobTitle}: ${decision.reason}`, 'info');
+            await this.declineApplication();
+        } else {
+            // Wait for the user to review the application
+            this.setStatus('Please review the generated application and decide whether to proceed.', 'info');
+        }
+    }
+
+    /**
+     * Provider adapter for the saved LLM settings
+     */
+    async loadLLMProvider() {
+        const { llmSettings, llmToken } = await chrome.storage.local.get(['llmSettings', 'llmToken']);
+        return createLLMProvider({ ...DEFAULT_LLM_SETTINGS, ...llmSettings, apiKey: llmToken }, this.logger);
+    }
+
+    /**
+     * Send a single-prompt request to the configured LLM provider
+     * Returns the reply text, token usage and the provider/model/parameters used
+     * @param {Object|null} job - The job the call is for; its usage is added to the job as well
+     * @throws {LLMBudgetError} When the daily or monthly budget is used up
+     */
+    async requestChatCompletion(prompt, job = null) {
+        const provider = await this.loadLLMProvider();
+        const { pricing, budget } = await loadUsageSettings();
+
+        const exceeded = budgetExceeded(usageTotals(this.llmUsage), budget);
+        if (exceeded) {
+            throw new LLMBudgetError(exceeded);
+        }
+
+        this.logger.debug('Sending LLM request', provider.describe());
+        const completion = await provider.complete(prompt);
+        const llm = provider.describe();
+
+        const call = llmCallUsage(completion.usage, llm, pricing);
+        recordLLMUsage(this.llmUsage, call);
+        if (job) {
+            job.llmUsage = addLLMUsage(job.llmUsage, call);
+        }
+        await chrome.storage.local.set({ llmUsage: this.llmUsage });
+        this.logger.debug('LLM usage', { ...call, model: llm.model });
+
+        return { ...completion, llm };
+    }
+
+    /**
+     * Request a reply that must match a schema
+     * Common formatting mistakes are repaired; replies that still do not match are
+     * re-prompted with the problems listed, up to MAX_AI_REPAIR_ATTEMPTS times
+     */
+    async requestStructuredCompletion(prompt, schema, job = null) {
+        let currentPrompt = prompt;
+
+        for (let attempt = 1; ; attempt++) {
+            const completion = await this.requestChatCompletion(currentPrompt, job);
+
+            try {
+                const { data, fixes } = parseAIResponse(completion.text, schema);
+                if (fixes.length > 0) {
+                    this.logger.info('Repaired AI response', fixes);
+                }
+                return { data, fixes, completion, attempts: attempt };
+            } catch (error) {
+                if (!(error instanceof AIResponseError) || attempt > MAX_AI_REPAIR_ATTEMPTS) {
+                    throw error;
+                }
+
+                this.logger.warn(`AI response did not match the schema (attempt ${attempt})`, error.problems);
+                currentPrompt = `${prompt}
+Your previous reply could not be used:
+${completion.text}
+
+Problems:
+${error.problems.map(problem => `- ${problem}`).join('\n')}
+
+Reply again with a single valid JSON object only, no markdown, with these fields:
+${describeSchema(schema)}
+`;
+            }
+        }
+    }
+
+    /**
+     * Ask the LLM to answer Easy Apply screening questions
+     * Returns one entry per question; answer is null when the model could not
+     * give a usable answer of the question's type
+     */
+    async answerScreeningQuestions(job, questions) {
+        const profile = await getProfile(job.profileId);
+        const cvVariants = await loadCvVariants();
+
+        const prompt = `
+You are an AI assistant filling in a job application form on behalf of the candidate. Answer each screening question truthfully based on the candidate's CV and criteria.
+
+Job Title: ${job.jobTitle}
+Company: ${job.company}
+Job Description: ${job.description || 'Not available'}
+
+User's CV: ${cvTextForJob(job, profile, cvVariants)}
+User's Criteria: ${profile.criteria}
+
+Questions:
+${JSON.stringify(questions.map(({ id, label, type, options, required }) => ({ id, label, type, options, required })), null, 2)}
+
+Answer rules by type:
+- numeric: a plain number (e.g. years of experience as a whole number)
+- select and radio: exactly one of the listed options, copied verbatim
+- checkbox: an array with the listed options that apply
+- text: a short plain-text answer
+
+Use null when the CV and criteria do not give enough information to answer.
+
+Format your response as valid JSON only:
+{
+  "answers": [
+    { "id": "question id", "answer": value }
+  ]
+}
+`;
+
+        const { data } = await this.requestStructuredCompletion(prompt, SCREENING_ANSWERS_SCHEMA, job);
+        const proposed = data.answers.filter(entry => entry && typeof entry === 'object');
+        const answersById = new Map(proposed.map(entry => [entry.id, entry.answer]));
+
+        return questions.map(question => ({
+            id: question.id,
+            label: question.label,
+            type: question.type,
+            options: question.options,
+            answer: this.coerceScreeningAnswer(question, answersById.get(question.id))
+        }));
+    }
+
+    /**
+     * Coerce a proposed answer to the question's input type
+     */
+    coerceScreeningAnswer(question, answer) {
+        if (answer === null || answer === undefined || answer === '') {
+            return null;
+        }
+
+        const matchOption = (value) => question.options.find(option =>
+            option.toLowerCase() === String(value).trim().toLowerCase()
+        ) || null;
+
+        switch (question.type) {
+            case 'numeric': {
+                const number = parseFloat(String(answer).replace(/[^\d.-]/g, ''));
+                return Number.isFinite(number) ? number : null;
+            }
+            case 'select':
+            case 'radio':
+                return matchOption(Array.isArray(answer) ? answer[0] : answer);
+            case 'checkbox': {
+                const values = Array.isArray(answer) ? answer : [answer];
+                const matched = values.map(matchOption).filter(Boolean);
+                return matched.length ? matched : null;
+            }
+            default:
+                return String(answer).trim();
+        }
+    }
+
+    /**
+     * Confirm and apply to the job under review
+     * @param {string} [coverLetter] - The cover letter as edited in the review step
+     */
+    async confirmApplication(coverLetter) {
+        const job = this.currentJob;
+        if (!job || this.state.phase !== 'reviewing') return;
+
+        if (this.state.reviewStage === 'answers') {
+            job.answersApproved = true;
+        } else {
+            this.applyCoverLetterEdit(job, coverLetter);
+        }
+
+        setJobStatus(job, 'applying');
+        await this.saveJobQueue();
+        await this.setState({ phase: 'applying', reviewStage: null, isPaused: false });
+
+        this.setStatus(`Applying to ${job.jobTitle}...`, 'info');
+
+        try {
+            const outcome = await this.submitApplication(job);
+            if (outcome === 'awaiting_approval') {
+                return;
+            }
+        } catch (error) {
+            this.logger.error('Error submitting application', error);
+            setJobStatus(job, 'skipped');
+            job.error = error.message;
+            await this.saveJobQueue();
+        }
+
+        // Continue processing queue
+        await this.scheduleNext(job.status === 'applied' ? 'ok' : 'error');
+    }
+
+    /**
+     * Decline the job application under review
+     */
+    async declineApplication() {
+        const job = this.currentJob;
+        if (!job || this.state.phase !== 'reviewing') return;
+
+        setJobStatus(job, 'skipped');
+        await this.saveJobQueue();
+        await this.setState({ phase: 'processing', reviewStage: null, isPaused: false });
+
+        this.setStatus(`Skipped ${job.jobTitle}`, 'info');
+
+        // Continue processing queue
+        await this.scheduleNext();
+    }
+
+    /**
+     * Process a specific job in the given LinkedIn tab
+     */
+    async processSpecificJob(postId, tabId) {
+        const job = this.findJob(postId);
+        if (!job) return;
+
+        if (job.status !== 'pending' && !job.queuedForReview) {
+            this.logger.warn('Job is not in pending status', { status: job.status });
+            return;
+        }
+
+        if (this.running) {
+            this.setStatus('Already processing a job.', 'info');
+            return;
+        }
+
+        await this.clearNextAction();
+        await this.setState({ isPaused: false, tabId });
+        this.setStatus(`Processing job: ${job.jobTitle}`, 'info');
+
+        // Start the job processing workflow
+        this.run(() => this.processJobQueue(postId));
+    }
+
+    /**
+     * Put a failed job back in the queue and process it
+     */
+    async retryJob(postId, tabId) {
+        const job = this.findJob(postId);
+        if (!job || job.status !== 'failed') return;
+
+        setJobStatus(job, 'pending');
+        delete job.error;
+        await this.saveJobQueue();
+
+        await this.processSpecificJob(postId, tabId);
+    }
+
+    /**
+     * Return all failed jobs to the pending queue
+     */
+    async retryFailedJobs() {
+        const failedJobs = this.jobQueue.filter(job => job.status === 'failed');
+        failedJobs.forEach(job => {
+            setJobStatus(job, 'pending');
+            delete job.error;
+        });
+
+        await this.saveJobQueue();
+        this.setStatus(`${failedJobs.length} failed job(s) returned to the queue.`, 'success');
+    }
+
+    /**
+     * Toggle star status for a job
+     */
+    async toggleJobStar(postId) {
+        const job = this.findJob(postId);
+        if (!job) return;
+
+        job.starred = !job.starred;
+        await this.saveJobQueue();
+    }
+
+    /**
+     * Move a job through the hiring stages after applying, or back to applied
+     */
+    async setTrackingStatus(postId, status) {
+        const job = this.findJob(postId);
+        if (!job) return;
+
+        if (status !== 'applied' && !TRACKING_STATUSES.includes(status)) {
+            this.logger.warn('Unknown tracking status', { postId, status });
+            return;
+        }
+        // Hiring stages only follow an application, or the funnel would count jobs never applied to
+        if (job.status !== 'applied' && !TRACKING_STATUSES.includes(job.status)) {
+            this.setStatus('Only jobs that were applied to can be moved through hiring stages.', 'error');
+            return;
+        }
+        if (job.post_id === this.state.currentJobId && this.state.phase !== 'idle') {
+            this.setStatus('This job is being processed. Change its status once it is done.', 'error');
+            return;
+        }
+
+        setJobStatus(job, status);
+        this.logger.info('Job status changed', { postId, status });
+        await this.saveJobQueue();
+    }
+
+    async saveJobNotes(postId, notes) {
+        const job = this.findJob(postId);
+        if (!job) return;
+
+        job.notes = (notes || '').trim();
+        await this.saveJobQueue();
+    }
+
+    /**
+     * Clear all stored data and reset the pipeline
+     */
+    async clearAllData() {
+        await chrome.storage.local.clear();
+        this.jobQueue = [];
+        this.llmUsage = {};
+        this.analysisCache = {};
+        this.savedSearches = [];
+        await syncSavedSearchAlarms(this.savedSearches);
+        await this.setState({ ...DEFAULT_PIPELINE_STATE });
+        this.setStatus('All data cleared successfully!', 'success');
+    }
+
+    /**
+     * Merge jobs from a JSON export into the queue
+     */
+    async importJobs(jobs) {
+        const { added, updated } = mergeJobQueue(this.jobQueue, jobs || []);
+        fillJobMetadata(this.jobQueue);
+        await this.updateLocalScores();
+        await this.saveJobQueue();
+
+        this.logger.info('Job queue imported', { received: jobs?.length || 0, added, updated });
+        this.setStatus(`Imported ${added} new job(s) and updated ${updated} existing job(s).`, 'success');
+    }
+
+    /**
+     * Pick the stored resume file to use for a job
+     */
+    async getResumeForJob(job) {
+        const { resumes = [], defaultResumeId = null, cvVariants = [] } = await chrome.storage.local.get(['resumes', 'defaultResumeId', 'cvVariants']);
+
+        // The resume file linked to the job's best-fit CV variant comes first
+        const variantResumeId = cvVariants.find(variant => variant.id === job.cvVariant?.id)?.resumeId;
+
+        return resumes.find(resume => resume.id === variantResumeId) ||
+               resumes.find(resume => resume.id === defaultResumeId) || resumes[0] || null;
+    }
+
+    /**
+     * Submit application to LinkedIn
+     * Drives the Easy Apply modal one page at a time (contact info, resume,
+     * questions, review) until the application is submitted or a step fails.
+     * Screening questions are answered by the LLM, and when any were answered the
+     * wizard stops before the final submit so the answers can be approved.
+     * Resolves to 'submitted', 'failed' or 'awaiting_approval'.
+     */
+    async submitApplication(job) {
+        const tab = await this.getWorkTab();
+        const pacer = await this.loadPacer();
+
+        // Pause like a person reading the posting before pressing Easy Apply
+        await pacer.waitBeforePageLoad();
+
+        // Navigate to job posting if not already there
+        if (!tab.url.includes(job.post_id)) {
+            await this.contentClient.navigate(tab.id, job.url);
+        }
+
+        // Approved answers are kept so an approved run can refill them if the wizard restarts
+        if (!job.answersApproved) {
+            job.screeningAnswers = [];
+        }
+        job.applySteps = [];
+        job.resumeUsed = null;
+
+        const resume = await this.getResumeForJob(job);
+        const resumeArg = resume ? { name: resume.name, type: resume.type, dataUrl: resume.dataUrl } : null;
+
+        for (let stepNumber = 1; stepNumber <= MAX_EASY_APPLY_STEPS; stepNumber++) {
+            const answers = Object.fromEntries(job.screeningAnswers.map(entry => [entry.id, entry.answer]));
+            const holdBeforeSubmit = job.screeningAnswers.some(entry => entry.answer !== null) && !job.answersApproved;
+
+            let step;
+            try {
+                step = await this.contentClient.request(tab.id, 'easyApplyStep', {
+                    coverLetterText: job.coverLetter || '',
+                    answers,
+                    holdBeforeSubmit,
+                    resume: resumeArg
+                });
+            } catch (error) {
+                step = { error: error.message };
+            }
+            this.logger.info(`Easy Apply step ${stepNumber}`, step);
+
+            if (step.questions) {
+                // Answer this page's questions, then run the same page again to fill them in
+                this.setStatus(`Answering ${step.questions.length} screening question(s) for ${job.jobTitle}...`, 'info');
+                try {
+                    job.screeningAnswers.push(...await this.answerScreeningQuestions(job, step.questions));
+                } catch (error) {
+                    this.logger.error('Failed to answer screening questions', error);
+                    job.screeningAnswers.push(...step.questions.map(question => ({ ...question, answer: null })));
+                }
+                await this.saveJobQueue();
+                stepNumber--;
+                continue;
+            }
+
+            job.applySteps.push({ step: stepNumber, name: step.stepName, action: step.action, progress: step.progress });
+
+            if (step.resumeUsed && resume) {
+                job.resumeUsed = { id: resume.id, ...step.resumeUsed };
+            }
+
+            if (step.error) {
+                job.failedStep = step.stepName || `Step ${stepNumber}`;
+                await this.handleApplicationSubmitted(job.post_id, false, `Easy Apply step ${stepNumber} ("${job.failedStep}"): ${step.error}`);
+                return 'failed';
+            }
+
+            if (step.awaitingApproval) {
+                // Auto-applied jobs go straight on when every screening question got an answer
+                if (job.autoDecision?.action === 'apply' && job.screeningAnswers.every(entry => entry.answer !== null)) {
+                    job.answersApproved = true;
+                    job.applySteps.pop();
+                    stepNumber--;
+                    continue;
+                }
+
+                setJobStatus(job, 'reviewing');
+                await this.saveJobQueue();
+                await this.setState({ phase: 'reviewing', reviewStage: 'answers' });
+                this.setStatus('Please review the screening answers before the application is submitted.', 'info');
+                return 'awaiting_approval';
+            }
+
+            if (step.submitted) {
+                await this.handleApplicationSubmitted(job.post_id, true);
+                return 'submitted';
+            }
+        }
+
+        job.failedStep = job.applySteps[job.applySteps.length - 1]?.name || null;
+        await this.handleApplicationSubmitted(job.post_id, false, `Easy Apply did not finish within ${MAX_EASY_APPLY_STEPS} steps`);
+        return 'failed';
+    }
+
+    /**
+     * Handle application submission result
+     */
+    async handleApplicationSubmitted(jobId, success, error) {
+        const job = this.findJob(jobId);
+        if (!job) return;
+
+        if (success) {
+            setJobStatus(job, 'applied');
+            job.appliedDate = new Date().toISOString();
+            delete job.error;
+            delete job.failedStep;
+            this.setStatus(`Successfully applied to ${job.jobTitle}!`, 'success');
+        } else {
+            setJobStatus(job, 'skipped');
+            job.error = error || 'Application submission failed';
+            this.setStatus(`Failed to apply to ${job.jobTitle}: ${error}`, 'error');
+        }
+
+        await this.saveJobQueue();
+    }
+
+    /**
+     * Save job queue to storage and notify listeners
+     */
+    async saveJobQueue() {
+        await chrome.storage.local.set({ jobQueue: this.jobQueue });
+        this.onChange(this.snapshot());
+    }
+}
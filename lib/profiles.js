@@ -0,0 +1,65 @@
+/**
+ * Search Profiles for AI Job Applier
+ * Named sets of keywords, search filters, criteria and CV, one per kind of role applied for
+ */
+
+const DEFAULT_PROFILE_NAME = 'Default';
+
+// Settings that used to be stored once and now belong to a profile
+const PROFILE_FIELDS = ['keywords', 'searchFilters', 'criteria', 'cv'];
+
+/**
+ * A new profile; missing fields are left empty
+ */
+function createProfile({ name, keywords = '', searchFilters = {}, criteria = '', cv = '' } = {}) {
+    return {
+        id: `profile_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+        name: name || DEFAULT_PROFILE_NAME,
+        keywords,
+        searchFilters,
+        criteria,
+        cv,
+        createdAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Load the profiles and the active profile id
+ * The first time, the single keywords/criteria/CV settings become the "Default" profile
+ * @returns {Promise<{ profiles: Object[], activeProfileId: string }>}
+ */
+async function loadProfiles() {
+    const stored = await chrome.storage.local.get(['profiles', 'activeProfileId', ...PROFILE_FIELDS]);
+
+    if (stored.profiles?.length) {
+        const activeProfileId = stored.profiles.some(profile => profile.id === stored.activeProfileId)
+            ? stored.activeProfileId
+            : stored.profiles[0].id;
+        return { profiles: stored.profiles, activeProfileId };
+    }
+
+    const profile = createProfile({
+        name: DEFAULT_PROFILE_NAME,
+        keywords: stored.keywords,
+        searchFilters: stored.searchFilters,
+        criteria: stored.criteria,
+        cv: stored.cv
+    });
+    await chrome.storage.local.set({ profiles: [profile], activeProfileId: profile.id });
+
+    return { profiles: [profile], activeProfileId: profile.id };
+}
+
+/**
+ * The profile with the given id, or the active profile when no id is given
+ * A job's CV and criteria come from its profile, so a deleted profile is an error rather than
+ * a silent switch to another profile's CV
+ */
+async function getProfile(profileId) {
+    const { profiles, activeProfileId } = await loadProfiles();
+    const profile = profiles.find(candidate => candidate.id === (profileId || activeProfileId));
+    if (!profile) {
+        throw new Error('The profile this belongs to was deleted');
+    }
+    return profile;
+}
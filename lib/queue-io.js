@@ -0,0 +1,237 @@
+/**
+ * Job Queue Import/Export for AI Job Applier
+ * Exports the queue as CSV, JSON or XLSX for tracking spreadsheets, and merges a JSON
+ * export back in by post_id so history survives reinstalls and moves between machines
+ */
+
+const QUEUE_EXPORT_FORMAT = 'fredd-job-queue';
+const QUEUE_EXPORT_VERSION = 1;
+
+// Spreadsheet columns, in order
+const QUEUE_EXPORT_COLUMNS = [
+    { header: 'Post ID', value: job => job.post_id },
+    { header: 'Job Title', value: job => job.jobTitle },
+    { header: 'Company', value: job => job.company },
+    { header: 'Location', value: job => job.metadata?.location || job.location || '' },
+    { header: 'Workplace', value: job => job.metadata?.workplaceType || '' },
+    { header: 'Seniority', value: job => job.metadata?.seniority || '' },
+    { header: 'Salary', value: job => job.metadata?.salary ? formatSalary(job.metadata.salary) : '' },
+    { header: 'Required Skills', value: job => job.metadata?.requiredSkills?.join(', ') || '' },
+    { header: 'Status', value: job => job.status },
+    { header: 'Match Score', value: job => job.matchScore ?? '' },
+    { header: 'Local Score', value: job => job.localScore ?? '' },
+    { header: 'Starred', value: job => job.starred ? 'yes' : '' },
+    { header: 'Profile', value: (job, context) => context.profileNames[job.profileId] || '' },
+    { header: 'CV Used', value: job => job.cvVariant?.name || '' },
+    { header: 'LLM Tokens', value: job => job.llmUsage ? job.llmUsage.inputTokens + job.llmUsage.outputTokens : '' },
+    { header: 'LLM Cost (USD)', value: job => job.llmUsage ? Number(job.llmUsage.cost.toFixed(6)) : '' },
+    { header: 'Date Found', value: job => job.dateFound || '' },
+    { header: 'Applied Date', value: job => job.appliedDate || '' },
+    { header: 'URL', value: job => job.url },
+    { header: 'Error', value: job => job.error || '' },
+    { header: 'Notes', value: job => job.notes || '' },
+    { header: 'Cover Letter', value: job => job.coverLetter || '' },
+    { header: 'Description', value: job => job.description || '' }
+];
+
+// Cell text starting with one of these is read as a formula by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Text that a spreadsheet app shows as text, never evaluates: formula-like strings get a leading '
+ * Titles, notes and cover letters come from LinkedIn and the LLM, so any of them may look like a formula
+ */
+function spreadsheetText(value) {
+    return typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : value;
+}
+
+/**
+ * One row of cell values per job, headers first
+ * @param {Object[]} jobs
+ * @param {Object[]} profiles - Used to show profile names instead of ids
+ */
+function queueToRows(jobs, profiles = []) {
+    const context = { profileNames: Object.fromEntries(profiles.map(profile => [profile.id, profile.name])) };
+    return [
+        QUEUE_EXPORT_COLUMNS.map(column => column.header),
+        ...jobs.map(job => QUEUE_EXPORT_COLUMNS.map(column => spreadsheetText(column.value(job, context))))
+    ];
+}
+
+function queueToCsv(jobs, profiles) {
+    const escape = (value) => {
+        const text = String(value ?? '');
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    // The byte order mark makes spreadsheet apps read the file as UTF-8
+    return '\uFEFF' + queueToRows(jobs, profiles).map(row => row.map(escape).join(',')).join('\r\n');
+}
+
+/**
+ * Full job records, so an import restores everything the extension knows about each job
+ */
+function queueToJson(jobs) {
+    return JSON.stringify({
+        format: QUEUE_EXPORT_FORMAT,
+        version: QUEUE_EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        jobs
+    }, null, 2);
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        // Control characters other than tab and newlines are not allowed in XML
+        .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '');
+}
+
+function spreadsheetColumnName(index) {
+    let name = '';
+    for (let number = index + 1; number > 0; number = Math.floor((number - 1) / 26)) {
+        name = String.fromCharCode(65 + (number - 1) % 26) + name;
+    }
+    return name;
+}
+
+/**
+ * A single-sheet XLSX workbook; numbers stay numbers, everything else is an inline string
+ * @returns {Uint8Array}
+ */
+function queueToXlsx(jobs, profiles) {
+    // Excel caps cells at 32767 characters
+    const maxCellLength = 32767;
+
+    const rows = queueToRows(jobs, profiles).map((row, rowIndex) => {
+        const cells = row.map((value, columnIndex) => {
+            const reference = `${spreadsheetColumnName(columnIndex)}${rowIndex + 1}`;
+            if (typeof value === 'number') {
+                return `<c r="${reference}"><v>${value}</v></c>`;
+            }
+            const text = escapeXml(String(value ?? '').slice(0, maxCellLength));
+            return `<c r="${reference}" t="inlineStr"><is><t xml:space="preserve">${text}</t></is></c>`;
+        });
+        return `<row r="${rowIndex + 1}">${cells.join('')}</row>`;
+    });
+
+    const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+    return createZip([
+        {
+            name: '[Content_Types].xml',
+            data: `${xmlHeader}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/></Types>`
+        },
+        {
+            name: '_rels/.rels',
+            data: `${xmlHeader}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`
+        },
+        {
+            name: 'xl/workbook.xml',
+            data: `${xmlHeader}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="Jobs" sheetId="1" r:id="rId1"/></sheets></workbook>`
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            data: `${xmlHeader}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/></Relationships>`
+        },
+        {
+            name: 'xl/worksheets/sheet1.xml',
+            data: `${xmlHeader}<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${rows.join('')}</sheetData></worksheet>`
+        }
+    ]);
+}
+
+// Statuses a job only has while the pipeline works on it; imported they would never be picked up again
+const MID_RUN_STATUSES = ['reviewing', 'applying'];
+
+/**
+ * Whether the URL is a LinkedIn job page, the only kind the pipeline may open
+ */
+function isLinkedInJobUrl(url) {
+    try {
+        const parsed = new URL(url);
+        return parsed.protocol === 'https:' && parsed.hostname === 'www.linkedin.com' && parsed.pathname.startsWith('/jobs/');
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Read the jobs from a JSON export; a bare array of jobs is accepted too
+ * Jobs without a LinkedIn job URL are dropped, and jobs exported mid-run go back to pending
+ * @returns {Object[]}
+ */
+function parseQueueExport(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Not a valid JSON file (${error.message})`);
+    }
+
+    const jobs = Array.isArray(data) ? data : data?.jobs;
+    if (!Array.isArray(jobs)) {
+        throw new Error('No jobs found in the file');
+    }
+    if (data.format && data.format !== QUEUE_EXPORT_FORMAT) {
+        throw new Error(`Unknown export format "${data.format}"`);
+    }
+    if (data.version > QUEUE_EXPORT_VERSION) {
+        throw new Error('The file was exported by a newer version of the extension');
+    }
+
+    return jobs
+        .filter(job => job && job.post_id && job.jobTitle && isLinkedInJobUrl(job.url))
+        .map(job => MID_RUN_STATUSES.includes(job.status) ? resetImportedJob(job) : job);
+}
+
+/**
+ * A copy of a job exported mid-run, back in the pending queue with the reset on its timeline
+ */
+function resetImportedJob(job) {
+    const reset = { ...job };
+    delete reset.queuedForReview;
+    delete reset.answersApproved;
+    setJobStatus(reset, 'pending');
+    return reset;
+}
+
+/**
+ * Merge imported jobs into the queue by post_id, updating existing job objects in place
+ * Jobs not in the queue are added. For a job in both, the queue's record is kept unless it is
+ * still pending and the imported one got further; fields only the import has are filled in.
+ * @returns {{ added: number, updated: number }}
+ */
+function mergeJobQueue(jobQueue, importedJobs) {
+    const byId = new Map(jobQueue.map(job => [job.post_id, job]));
+    let added = 0;
+    let updated = 0;
+
+    importedJobs.forEach(imported => {
+        const existing = byId.get(String(imported.post_id));
+
+        if (!existing) {
+            const job = { ...imported, post_id: String(imported.post_id) };
+            jobQueue.push(job);
+            byId.set(job.post_id, job);
+            added++;
+            return;
+        }
+
+        const merged = existing.status === 'pending' && imported.status !== 'pending'
+            ? { ...existing, ...imported }
+            : { ...imported, ...existing };
+        merged.post_id = existing.post_id;
+
+        const changed = Object.keys(merged).some(key => JSON.stringify(merged[key]) !== JSON.stringify(existing[key]));
+        if (changed) {
+            Object.assign(existing, merged);
+            updated++;
+        }
+    });
+
+    return { added, updated };
+}
@@ -0,0 +1,139 @@
+/**
+ * Job Filter Rules for AI Job Applier
+ * User-defined rules that skip obvious mismatches before any LLM call is spent on them.
+ * Title, company and workplace rules run on the search result card; description rules
+ * (and workplace rules the card could not settle) run once the description is scraped.
+ */
+
+const JOB_RULE_TYPES = {
+    titleInclude: 'Title must match one of',
+    titleExclude: 'Title must not match',
+    companyAllow: 'Company must be one of',
+    companyDeny: 'Company must not be',
+    descriptionRequired: 'Description must contain all of',
+    descriptionForbidden: 'Description must not contain',
+    workplace: 'Workplace type must be one of'
+};
+
+const JOB_RULE_WORKPLACE_TYPES = ['remote', 'hybrid', 'on-site'];
+
+function createJobRule({ name, type, values = [], locations = [] }) {
+    return {
+        id: `rule_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+        name,
+        type,
+        values,
+        locations,
+        enabled: true,
+        createdAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Whether a rule value matches the text
+ * Values written as /pattern/flags are regular expressions; anything else is a case-insensitive substring
+ */
+function ruleValueMatches(value, text) {
+    const regex = value.match(/^\/(.+)\/([a-z]*)$/);
+    if (regex) {
+        try {
+            return new RegExp(regex[1], regex[2].includes('i') ? regex[2] : `${regex[2]}i`).test(text);
+        } catch (error) {
+            return false;
+        }
+    }
+    return text.toLowerCase().includes(value.toLowerCase());
+}
+
+/**
+ * The values of a rule that are not valid regular expressions, for checking rules as they are saved
+ */
+function invalidRuleValues(values) {
+    return values.filter(value => {
+        const regex = value.match(/^\/(.+)\/([a-z]*)$/);
+        if (!regex) return false;
+        try {
+            new RegExp(regex[1], regex[2]);
+            return false;
+        } catch (error) {
+            return true;
+        }
+    });
+}
+
+/**
+ * Why a job breaks a rule, or null when it passes
+ * Returns undefined when the rule cannot be decided yet at this stage
+ * @param {'card'|'description'} stage
+ */
+function checkJobRule(rule, job, stage) {
+    const values = rule.values || [];
+    const title = job.jobTitle || '';
+    const company = job.company || '';
+    const description = job.description || '';
+
+    switch (rule.type) {
+        case 'titleInclude':
+            return values.length === 0 || values.some(value => ruleValueMatches(value, title)) ? null : 'title matches none of the patterns';
+        case 'titleExclude': {
+            const match = values.find(value => ruleValueMatches(value, title));
+            return match ? `title matches "${match}"` : null;
+        }
+        case 'companyAllow':
+            return values.length === 0 || values.some(value => ruleValueMatches(value, company)) ? null : `${company} is not on the allow list`;
+        case 'companyDeny': {
+            const match = values.find(value => ruleValueMatches(value, company));
+            return match ? `${company} matches "${match}"` : null;
+        }
+        case 'descriptionRequired': {
+            if (stage !== 'description') return undefined;
+            const missing = values.filter(value => !ruleValueMatches(value, description));
+            return missing.length > 0 ? `description is missing ${missing.map(value => `"${value}"`).join(', ')}` : null;
+        }
+        case 'descriptionForbidden': {
+            if (stage !== 'description') return undefined;
+            const match = values.find(value => ruleValueMatches(value, description));
+            return match ? `description contains "${match}"` : null;
+        }
+        case 'workplace': {
+            // The card's location line usually says remote, hybrid or on-site; otherwise wait for the description
+            const metadata = stage === 'description' ? job.metadata || extractJobMetadata(job) : null;
+            const workplaceType = stage === 'description' ? metadata.workplaceType : extractWorkplaceType(job.location, '');
+            const location = stage === 'description' ? metadata.location : extractLocation(job.location, '');
+            if (!workplaceType) return stage === 'description' ? null : undefined;
+
+            if (values.length > 0 && !values.includes(workplaceType)) {
+                return `workplace is ${workplaceType}`;
+            }
+            // Locations only matter for roles you have to travel to
+            const locations = rule.locations || [];
+            if (workplaceType !== 'remote' && locations.length > 0 && location && !locations.some(value => ruleValueMatches(value, location))) {
+                return `${workplaceType} role in ${location}`;
+            }
+            return null;
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * The first enabled rule a job breaks at this stage
+ * @returns {{ id: string, name: string, reason: string }|null}
+ */
+function findBrokenJobRule(job, rules, stage) {
+    for (const rule of rules) {
+        if (!rule.enabled) continue;
+
+        const reason = checkJobRule(rule, job, stage);
+        if (reason) {
+            return { id: rule.id, name: rule.name, reason };
+        }
+    }
+    return null;
+}
+
+async function loadJobRules() {
+    const { jobRules = [] } = await chrome.storage.local.get(['jobRules']);
+    return jobRules;
+}
@@ -0,0 +1,62 @@
+/**
+ * Saved Searches for AI Job Applier
+ * Searches that run on a schedule through chrome.alarms, one alarm per search
+ */
+
+const SAVED_SEARCH_ALARM_PREFIX = 'savedSearch:';
+const DEFAULT_SAVED_SEARCH_INTERVAL_HOURS = 6;
+
+function savedSearchAlarmName(searchId) {
+    return `${SAVED_SEARCH_ALARM_PREFIX}${searchId}`;
+}
+
+/**
+ * Saved search id for an alarm name, or null for other alarms
+ */
+function savedSearchIdFromAlarm(alarmName) {
+    return alarmName.startsWith(SAVED_SEARCH_ALARM_PREFIX) ? alarmName.slice(SAVED_SEARCH_ALARM_PREFIX.length) : null;
+}
+
+/**
+ * Make the alarms match the saved searches: one periodic alarm per enabled search
+ * Alarms whose interval changed are recreated; alarms of removed or disabled searches are cleared
+ */
+async function syncSavedSearchAlarms(searches) {
+    const alarms = (await chrome.alarms.getAll()).filter(alarm => savedSearchIdFromAlarm(alarm.name));
+    const enabled = searches.filter(search => search.enabled);
+
+    for (const alarm of alarms) {
+        const search = enabled.find(candidate => savedSearchAlarmName(candidate.id) === alarm.name);
+        if (!search || alarm.periodInMinutes !== search.intervalHours * 60) {
+            await chrome.alarms.clear(alarm.name);
+        }
+    }
+
+    const remaining = new Set((await chrome.alarms.getAll()).map(alarm => alarm.name));
+    for (const search of enabled) {
+        const name = savedSearchAlarmName(search.id);
+        if (!remaining.has(name)) {
+            const periodInMinutes = search.intervalHours * 60;
+            chrome.alarms.create(name, { delayInMinutes: periodInMinutes, periodInMinutes });
+        }
+    }
+}
+
+/**
+ * A new saved search from the given search settings
+ */
+function createSavedSearch({ name, keywords, searchFilters, intervalHours, analyze, profileId }) {
+    return {
+        id: `search_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+        name: name || keywords,
+        keywords,
+        searchFilters: searchFilters || {},
+        intervalHours: Math.max(1, parseFloat(intervalHours) || DEFAULT_SAVED_SEARCH_INTERVAL_HOURS),
+        analyze: !!analyze,
+        profileId: profileId || null,
+        enabled: true,
+        createdAt: new Date().toISOString(),
+        lastRunAt: null,
+        lastResult: null
+    };
+}
@@ -0,0 +1,246 @@
+/**
+ * LinkedIn Selector Registry for AI Job Applier
+ * Every DOM selector used on LinkedIn, grouped by page area with ordered fallbacks.
+ * Selectors are tried in order and the first match wins, so put the current
+ * layout first and keep older layouts below it. Bump the version when editing.
+ */
+
+const LINKEDIN_SELECTORS = {
+    version: '2024.10.2',
+    entries: {
+        // Search results
+        card: {
+            area: 'Search results',
+            label: 'Job card',
+            selectors: [
+                'li[data-occludable-job-id]',
+                '.scaffold-layout__list-item',
+                '.jobs-search-results-list li',
+                '[data-job-id]',
+                '.job-card-container',
+                '.jobs-search__results-list li',
+                '.job-search-card'
+            ]
+        },
+        title: {
+            area: 'Search results',
+            label: 'Card title',
+            scope: 'card',
+            selectors: [
+                '.job-card-list__title a',
+                '.job-card-container__link',
+                'a[data-control-name*="job"]',
+                '[data-control-name="job_search_job_title"]',
+                'h3 a',
+                '.job-search-card__title a'
+            ]
+        },
+        company: {
+            area: 'Search results',
+            label: 'Card company',
+            scope: 'card',
+            selectors: [
+                '.artdeco-entity-lockup__subtitle',
+                '.job-card-container__primary-description',
+                '.job-card-container__company-name',
+                '[data-control-name*="company"]',
+                '.job-search-card__subtitle-link'
+            ]
+        },
+        location: {
+            area: 'Search results',
+            label: 'Card location',
+            scope: 'card',
+            selectors: [
+                '.job-card-container__metadata-wrapper li',
+                '.artdeco-entity-lockup__caption li',
+                '.job-card-container__metadata-item',
+                '.job-search-card__location'
+            ]
+        },
+        link: {
+            area: 'Search results',
+            label: 'Card link',
+            scope: 'card',
+            selectors: [
+                'a[href*="/jobs/view/"]',
+                'a[data-job-id]'
+            ]
+        },
+        pagination: {
+            area: 'Search results',
+            label: 'Pagination',
+            selectors: [
+                '.jobs-search-pagination',
+                '.artdeco-pagination'
+            ]
+        },
+        nextPage: {
+            area: 'Search results',
+            label: 'Next page control',
+            selectors: [
+                '.jobs-search-pagination__button--next:not([disabled])',
+                '.artdeco-pagination__button--next:not([disabled])',
+                '.artdeco-pagination__indicator--number.selected + .artdeco-pagination__indicator--number'
+            ]
+        },
+
+        // Job posting
+        description: {
+            area: 'Job posting',
+            label: 'Description',
+            selectors: [
+                // New LinkedIn structure with dynamic class names
+                'div[class*="e47ea9c0"] p[class*="f964d113"]',
+                'span[data-testid="expandable-text-box"]',
+                'div[class*="_2313fa67"] span[class*="_03951757"]',
+                '[data-testid="expandable-text-box"]',
+                'div[class*="job"] span[tabindex="-1"]',
+                '.jobs-search__job-details--container .jobs-description-content__text',
+                '.jobs-description-content__text',
+                '.jobs-box__html-content',
+                '.jobs-description',
+                '.job-details-jobs-unified-top-card__job-description',
+                '.jobs-unified-top-card__job-description',
+                '[data-job-details="jobDescription"]',
+                '.job-view-layout .jobs-description',
+                '.jobs-search__job-details .jobs-description-content__text'
+            ]
+        },
+        easyApplyButton: {
+            area: 'Job posting',
+            label: 'Easy Apply button',
+            selectors: [
+                '.jobs-apply-button--top-card',
+                'button[aria-label*="Easy Apply"]',
+                '.jobs-apply-button',
+                '.jobs-s-apply button',
+                '[data-control-name="jobdetails_topcard_inapply"]',
+                '.jobs-unified-top-card__primary-description-action button',
+                'button[data-control-name*="apply"]',
+                '.artdeco-button--primary[aria-label*="Apply"]'
+            ]
+        },
+
+        // Easy Apply modal
+        modal: {
+            area: 'Easy Apply modal',
+            label: 'Modal',
+            selectors: [
+                '.jobs-easy-apply-modal',
+                '[data-test-modal-id="easy-apply-modal"]',
+                '.jobs-easy-apply-content'
+            ]
+        },
+        stepHeading: {
+            area: 'Easy Apply modal',
+            label: 'Step heading',
+            scope: 'modal',
+            selectors: [
+                'form h3',
+                '.jobs-easy-apply-content h3',
+                'h3'
+            ]
+        },
+        progress: {
+            area: 'Easy Apply modal',
+            label: 'Progress bar',
+            scope: 'modal',
+            selectors: [
+                '[role="progressbar"]',
+                'progress'
+            ]
+        },
+        nextButton: {
+            area: 'Easy Apply modal',
+            label: 'Next button',
+            scope: 'modal',
+            selectors: [
+                'button[aria-label="Continue to next step"]',
+                'button[data-easy-apply-next-button]',
+                'button[data-control-name="continue_unify"]'
+            ],
+            labels: ['continue to next step', 'next']
+        },
+        reviewButton: {
+            area: 'Easy Apply modal',
+            label: 'Review button',
+            scope: 'modal',
+            selectors: [
+                'button[aria-label="Review your application"]',
+                'button[data-live-test-easy-apply-review-button]'
+            ],
+            labels: ['review your application', 'review']
+        },
+        submitButton: {
+            area: 'Easy Apply modal',
+            label: 'Submit button',
+            scope: 'modal',
+            selectors: [
+                'button[aria-label="Submit application"]',
+                'button[data-live-test-easy-apply-submit-button]',
+                '.artdeco-button--primary[aria-label*="Submit"]'
+            ],
+            labels: ['submit application']
+        },
+        coverLetter: {
+            area: 'Easy Apply modal',
+            label: 'Cover letter field',
+            scope: 'modal',
+            selectors: [
+                'textarea[name*="coverLetter"]',
+                'textarea[id*="coverLetter"]',
+                'textarea[placeholder*="cover letter"]',
+                'textarea[aria-label*="cover letter"]'
+            ]
+        },
+        questionGroup: {
+            area: 'Easy Apply modal',
+            label: 'Question group',
+            scope: 'modal',
+            selectors: [
+                '.fb-dash-form-element',
+                '.jobs-easy-apply-form-section__grouping',
+                '[data-test-form-element]'
+            ]
+        },
+        formError: {
+            area: 'Easy Apply modal',
+            label: 'Validation error',
+            scope: 'modal',
+            selectors: [
+                '.artdeco-inline-feedback--error',
+                '[data-test-form-element-error-messages]',
+                '.fb-dash-form-element-error'
+            ]
+        },
+        resumeCard: {
+            area: 'Easy Apply modal',
+            label: 'Uploaded resume card',
+            scope: 'modal',
+            selectors: [
+                '.jobs-document-upload-redesign-card__container',
+                '.jobs-resume-picker__resume',
+                '[data-test-document-upload-card]'
+            ]
+        },
+        resumeName: {
+            area: 'Easy Apply modal',
+            label: 'Resume file name',
+            scope: 'modal',
+            selectors: [
+                '.jobs-document-upload-redesign-card__file-name',
+                '[data-test-document-name]',
+                'h3'
+            ]
+        },
+        dismissButton: {
+            area: 'Easy Apply modal',
+            label: 'Dismiss button',
+            selectors: [
+                'button[aria-label="Dismiss"]',
+                '.artdeco-modal__dismiss'
+            ]
+        }
+    }
+};
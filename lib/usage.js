@@ -0,0 +1,171 @@
+/**
+ * LLM Usage for AI Job Applier
+ * Token and cost accounting for every LLM call, added up per job and per day, and the
+ * daily and monthly budgets that stop the pipeline before more is spent
+ */
+
+// USD per million tokens; a model matches the longest entry its name starts with
+const DEFAULT_MODEL_PRICING = [
+    { model: 'gpt-3.5-turbo', input: 0.5, output: 1.5 },
+    { model: 'gpt-4o', input: 2.5, output: 10 },
+    { model: 'gpt-4o-mini', input: 0.15, output: 0.6 },
+    { model: 'gpt-4.1', input: 2, output: 8 },
+    { model: 'gpt-4.1-mini', input: 0.4, output: 1.6 },
+    { model: 'claude-3-5-haiku', input: 0.8, output: 4 },
+    { model: 'claude-3-5-sonnet', input: 3, output: 15 },
+    { model: 'claude-3-7-sonnet', input: 3, output: 15 },
+    { model: 'claude-sonnet-4', input: 3, output: 15 }
+];
+
+// Budgets in USD; 0 means no limit
+const DEFAULT_LLM_BUDGET = {
+    daily: 0,
+    monthly: 0
+};
+
+// Days of usage kept in storage
+const USAGE_HISTORY_DAYS = 400;
+
+/**
+ * Raised instead of sending a request once a budget is used up
+ */
+class LLMBudgetError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'LLMBudgetError';
+    }
+}
+
+async function loadUsageSettings() {
+    const { modelPricing, llmBudget } = await chrome.storage.local.get(['modelPricing', 'llmBudget']);
+    return {
+        pricing: modelPricing || DEFAULT_MODEL_PRICING,
+        budget: { ...DEFAULT_LLM_BUDGET, ...llmBudget }
+    };
+}
+
+/**
+ * Local calendar day, e.g. 2024-10-31; the ledger is keyed by it
+ */
+function usageDateKey(date = new Date()) {
+    const pad = (number) => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Price of the model a call was made with, or null when it is not in the pricing list
+ * Local models are free
+ * @param {Object} llm - Provider description recorded with the call
+ */
+function findModelPrice(llm, pricing) {
+    if (llm.provider === 'local') return { input: 0, output: 0 };
+
+    const model = (llm.model || '').toLowerCase();
+    return pricing
+        .filter(entry => model.startsWith(entry.model.toLowerCase()))
+        .sort((a, b) => b.model.length - a.model.length)[0] || null;
+}
+
+/**
+ * Tokens and cost of one call
+ * @returns {{ inputTokens: number, outputTokens: number, cost: number, priced: boolean }}
+ */
+function llmCallUsage(usage, llm, pricing) {
+    const price = findModelPrice(llm, pricing);
+    const inputTokens = usage?.inputTokens || 0;
+    const outputTokens = usage?.outputTokens || 0;
+
+    return {
+        inputTokens,
+        outputTokens,
+        cost: price ? (inputTokens * price.input + outputTokens * price.output) / 1e6 : 0,
+        priced: !!price
+    };
+}
+
+/**
+ * Add a call to a running total; returns a new total
+ */
+function addLLMUsage(total, call) {
+    const current = total || { calls: 0, inputTokens: 0, outputTokens: 0, cost: 0, unpricedCalls: 0 };
+    return {
+        calls: current.calls + 1,
+        inputTokens: current.inputTokens + call.inputTokens,
+        outputTokens: current.outputTokens + call.outputTokens,
+        cost: current.cost + call.cost,
+        unpricedCalls: current.unpricedCalls + (call.priced ? 0 : 1)
+    };
+}
+
+/**
+ * Add a call to the day's total in the ledger, dropping days past the kept history
+ * @param {Object} ledger - Totals keyed by usageDateKey
+ */
+function recordLLMUsage(ledger, call, now = new Date()) {
+    const today = usageDateKey(now);
+    ledger[today] = addLLMUsage(ledger[today], call);
+
+    const oldest = usageDateKey(new Date(now.getTime() - USAGE_HISTORY_DAYS * 24 * 60 * 60 * 1000));
+    Object.keys(ledger).filter(day => day < oldest).forEach(day => delete ledger[day]);
+}
+
+/**
+ * Today's and this month's totals
+ */
+function usageTotals(ledger, now = new Date()) {
+    const today = usageDateKey(now);
+    const month = today.slice(0, 7);
+    const empty = { calls: 0, inputTokens: 0, outputTokens: 0, cost: 0, unpricedCalls: 0 };
+
+    const monthTotal = Object.entries(ledger)
+        .filter(([day]) => day.startsWith(month))
+        .reduce((total, [, usage]) => ({
+            calls: total.calls + usage.calls,
+            inputTokens: total.inputTokens + usage.inputTokens,
+            outputTokens: total.outputTokens + usage.outputTokens,
+            cost: total.cost + usage.cost,
+            unpricedCalls: total.unpricedCalls + usage.unpricedCalls
+        }), empty);
+
+    return { today: ledger[today] || empty, month: monthTotal };
+}
+
+/**
+ * Why no more calls may be made, or null while both budgets have room left
+ */
+function budgetExceeded(totals, budget) {
+    if (budget.daily > 0 && totals.today.cost >= budget.daily) {
+        return `Daily LLM budget of ${formatCost(budget.daily)} reached (${formatCost(totals.today.cost)} spent today).`;
+    }
+    if (budget.monthly > 0 && totals.month.cost >= budget.monthly) {
+        return `Monthly LLM budget of ${formatCost(budget.monthly)} reached (${formatCost(totals.month.cost)} spent this month).`;
+    }
+    return null;
+}
+
+function formatCost(cost) {
+    return `$${cost > 0 && cost < 1 ? cost.toFixed(4) : cost.toFixed(2)}`;
+}
+
+/**
+ * One line per model for the settings form, e.g. "gpt-4o-mini: 0.15 / 0.6"
+ */
+function formatModelPricing(pricing) {
+    return pricing.map(entry => `${entry.model}: ${entry.input} / ${entry.output}`).join('\n');
+}
+
+/**
+ * Read the pricing list back from the settings form
+ * @throws {Error} Naming the first line that is not "model: input / output"
+ */
+function parseModelPricing(text) {
+    return text.split('\n').map(line => line.trim()).filter(Boolean).map(line => {
+        const match = line.match(/^(.+?)\s*:\s*([\d.]+)\s*\/\s*([\d.]+)$/);
+        const input = match && parseFloat(match[2]);
+        const output = match && parseFloat(match[3]);
+        if (!match || !Number.isFinite(input) || !Number.isFinite(output)) {
+            throw new Error(`Model pricing line "${line}" should look like "model: input / output"`);
+        }
+        return { model: match[1], input, output };
+    });
+}
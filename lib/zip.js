@@ -0,0 +1,172 @@
+/**
+ * Zip archives for AI Job Applier
+ * Enough of the zip format to read DOCX files locally (stored and deflated entries,
+ * inflated with the browser's DecompressionStream) and to write XLSX exports (stored entries)
+ */
+
+const ZIP_END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const ZIP_CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const ZIP_LOCAL_FILE_HEADER = 0x04034b50;
+
+/**
+ * Decompress bytes with DecompressionStream
+ * @param {Uint8Array} bytes
+ * @param {'deflate'|'deflate-raw'} format - 'deflate' for zlib-wrapped data (PDF), 'deflate-raw' for zip entries
+ */
+async function inflateBytes(bytes, format = 'deflate-raw') {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * List the entries of a zip archive from its central directory
+ * @param {Uint8Array} bytes
+ * @returns {{ name: string, method: number, compressedSize: number, offset: number }[]}
+ */
+function listZipEntries(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    // The end record sits in the last 22 bytes plus an optional comment of up to 64 KB
+    let endOffset = -1;
+    for (let offset = bytes.length - 22; offset >= Math.max(0, bytes.length - 22 - 65535); offset--) {
+        if (view.getUint32(offset, true) === ZIP_END_OF_CENTRAL_DIRECTORY) {
+            endOffset = offset;
+            break;
+        }
+    }
+    if (endOffset === -1) {
+        throw new Error('Not a zip archive');
+    }
+
+    const entryCount = view.getUint16(endOffset + 10, true);
+    let offset = view.getUint32(endOffset + 16, true);
+    const decoder = new TextDecoder();
+    const entries = [];
+
+    for (let index = 0; index < entryCount; index++) {
+        if (view.getUint32(offset, true) !== ZIP_CENTRAL_DIRECTORY_ENTRY) {
+            throw new Error('Corrupt zip central directory');
+        }
+
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+
+        entries.push({
+            name: decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength)),
+            method: view.getUint16(offset + 10, true),
+            compressedSize: view.getUint32(offset + 20, true),
+            offset: view.getUint32(offset + 42, true)
+        });
+
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+}
+
+/**
+ * Read one entry's uncompressed bytes
+ * @returns {Promise<Uint8Array>}
+ */
+async function readZipEntry(bytes, entry) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (view.getUint32(entry.offset, true) !== ZIP_LOCAL_FILE_HEADER) {
+        throw new Error(`Corrupt zip entry ${entry.name}`);
+    }
+
+    const dataStart = entry.offset + 30 + view.getUint16(entry.offset + 26, true) + view.getUint16(entry.offset + 28, true);
+    const data = bytes.subarray(dataStart, dataStart + entry.compressedSize);
+
+    if (entry.method === 0) return data;
+    if (entry.method === 8) return inflateBytes(data, 'deflate-raw');
+    throw new Error(`Unsupported zip compression method ${entry.method} in ${entry.name}`);
+}
+
+/**
+ * Read a named file from a zip archive as text; null when it is not in the archive
+ */
+async function readZipText(bytes, name) {
+    const entry = listZipEntries(bytes).find(candidate => candidate.name === name);
+    return entry ? new TextDecoder().decode(await readZipEntry(bytes, entry)) : null;
+}
+
+let crc32Table = null;
+
+function crc32(bytes) {
+    if (!crc32Table) {
+        crc32Table = new Uint32Array(256);
+        for (let index = 0; index < 256; index++) {
+            let value = index;
+            for (let bit = 0; bit < 8; bit++) {
+                value = value & 1 ? 0xedb88320 ^ (value >>> 1) : value >>> 1;
+            }
+            crc32Table[index] = value >>> 0;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (let index = 0; index < bytes.length; index++) {
+        crc = crc32Table[(crc ^ bytes[index]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build a zip archive with stored (uncompressed) entries
+ * @param {{ name: string, data: string|Uint8Array }[]} files
+ * @returns {Uint8Array}
+ */
+function createZip(files) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(({ name, data }) => {
+        const nameBytes = encoder.encode(name);
+        const content = typeof data === 'string' ? encoder.encode(data) : data;
+        const checksum = crc32(content);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, ZIP_LOCAL_FILE_HEADER, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(6, 0x0800, true); // UTF-8 names
+        local.setUint32(14, checksum, true);
+        local.setUint32(18, content.length, true);
+        local.setUint32(22, content.length, true);
+        local.setUint16(26, nameBytes.length, true);
+        localParts.push(new Uint8Array(local.buffer), nameBytes, content);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, ZIP_CENTRAL_DIRECTORY_ENTRY, true);
+        central.setUint16(4, 20, true);
+        central.setUint16(6, 20, true);
+        central.setUint16(8, 0x0800, true);
+        central.setUint32(16, checksum, true);
+        central.setUint32(20, content.length, true);
+        central.setUint32(24, content.length, true);
+        central.setUint16(28, nameBytes.length, true);
+        central.setUint32(42, offset, true);
+        centralParts.push(new Uint8Array(central.buffer), nameBytes);
+
+        offset += 30 + nameBytes.length + content.length;
+    });
+
+    const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, ZIP_END_OF_CENTRAL_DIRECTORY, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const archive = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+    let position = 0;
+    parts.forEach(part => {
+        archive.set(part, position);
+        position += part.length;
+    });
+    return archive;
+}
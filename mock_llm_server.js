@@ -0,0 +1,113 @@
+// Local stand-in LLM server for exercising every provider adapter
+// Usage: node mock_llm_server.js [port]
+// Then set the provider's Base URL in Settings to http://localhost:<port>/v1
+
+const http = require('http');
+
+const port = parseInt(process.argv[2], 10) || 8787;
+
+// Canned replies shaped like the prompts the extension sends
+function replyFor(prompt) {
+    if (prompt.includes('screening question')) {
+        const questions = JSON.parse(prompt.match(/Questions:\n([\s\S]*?)\n\nAnswer rules/)?.[1] || '[]');
+        return JSON.stringify({
+            answers: questions.map(question => ({
+                id: question.id,
+                answer: question.type === 'numeric' ? 3 :
+                        question.type === 'checkbox' ? question.options.slice(0, 1) :
+                        question.options.length ? question.options[0] : 'Yes'
+            }))
+        });
+    }
+
+    if (prompt.includes('rewrite the cover letter')) {
+        const instruction = prompt.match(/Instruction: (.*)/)?.[1] || '';
+        return JSON.stringify({
+            coverLetter: `Dear Hiring Manager,\n\nThis is a rewritten cover letter from the local mock LLM server (${instruction}).\n\nBest regards`
+        });
+    }
+
+    if (prompt.includes('CV versions')) {
+        const variantIds = Array.from(prompt.matchAll(/--- CV "([^"]+)"/g), match => match[1]);
+        return JSON.stringify({
+            variantScores: variantIds.map((variantId, index) => ({ variantId, score: 60 + index * 5 })),
+            coverLetter: 'Dear Hiring Manager,\n\nThis is a cover letter from the local mock LLM server, based on the best CV version.\n\nBest regards'
+        });
+    }
+
+    return JSON.stringify({
+        matchScore: 72,
+        coverLetter: 'Dear Hiring Manager,\n\nThis is a cover letter from the local mock LLM server.\n\nBest regards'
+    });
+}
+
+function promptFrom(body) {
+    const message = (body.messages || []).filter(entry => entry.role === 'user').pop();
+    return typeof message?.content === 'string' ? message.content : '';
+}
+
+const routes = {
+    // OpenAI, OpenAI-compatible and local adapters
+    '/v1/chat/completions': (body) => {
+        const text = replyFor(promptFrom(body));
+        return {
+            id: 'mock-chat',
+            object: 'chat.completion',
+            model: body.model,
+            choices: [{ index: 0, message: { role: 'assistant', content: text }, finish_reason: 'stop' }],
+            usage: { prompt_tokens: promptFrom(body).length / 4 | 0, completion_tokens: text.length / 4 | 0 }
+        };
+    },
+    // Anthropic adapter
+    '/v1/messages': (body) => {
+        const text = replyFor(promptFrom(body));
+        return {
+            id: 'mock-message',
+            type: 'message',
+            role: 'assistant',
+            model: body.model,
+            content: [{ type: 'text', text }],
+            stop_reason: 'end_turn',
+            usage: { input_tokens: promptFrom(body).length / 4 | 0, output_tokens: text.length / 4 | 0 }
+        };
+    }
+};
+
+const server = http.createServer((request, response) => {
+    const headers = {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': '*',
+        'Content-Type': 'application/json'
+    };
+
+    if (request.method === 'OPTIONS') {
+        response.writeHead(204, headers);
+        response.end();
+        return;
+    }
+
+    const route = routes[request.url];
+    if (request.method !== 'POST' || !route) {
+        response.writeHead(404, headers);
+        response.end(JSON.stringify({ error: `No mock route for ${request.method} ${request.url}` }));
+        return;
+    }
+
+    let raw = '';
+    request.on('data', chunk => { raw += chunk; });
+    request.on('end', () => {
+        try {
+            const body = JSON.parse(raw || '{}');
+            console.log(`📨 ${request.url} model=${body.model} temperature=${body.temperature} max_tokens=${body.max_tokens}`);
+            response.writeHead(200, headers);
+            response.end(JSON.stringify(route(body)));
+        } catch (error) {
+            response.writeHead(400, headers);
+            response.end(JSON.stringify({ error: error.message }));
+        }
+    });
+});
+
+server.listen(port, () => {
+    console.log(`🤖 Mock LLM server listening on http://localhost:${port}/v1`);
+});
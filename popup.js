@@ -1,50 +1,56 @@
 /**
  * AI Job Applier - Main JavaScript Logic
- * Handles all UI interactions, data persistence, and orchestrates the job application workflow
+ * Handles all UI interactions and settings; the job workflow runs in the background pipeline
  */
 
+// LinkedIn accepts PDF and DOCX resumes up to 2 MB
+const RESUME_TYPES = {
+    'application/pdf': '.pdf',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx'
+};
+const MAX_RESUME_SIZE = 2 * 1024 * 1024;
+
 /**
- * Logger class for comprehensive debugging
+ * Text made safe to put into innerHTML markup
+ * Job text is scraped from LinkedIn, written by the LLM or read from an imported file
  */
-class Logger {
-    constructor() {
-        this.logs = [];
-        this.maxLogs = 1000;
-    }
-
-    log(level, message, data = null) {
-        const timestamp = new Date().toISOString();
-        const logEntry = { timestamp, level, message, data };
-        
-        console.log(`[${level.toUpperCase()}] ${timestamp}: ${message}`, data || '');
-        
-        this.logs.push(logEntry);
-        if (this.logs.length > this.maxLogs) {
-            this.logs.shift();
-        }
-        
-        // Store logs in chrome storage for persistence
-        chrome.storage.local.set({ 'debug_logs': this.logs.slice(-100) });
-    }
-
-    info(message, data) { this.log('info', message, data); }
-    warn(message, data) { this.log('warn', message, data); }
-    error(message, data) { this.log('error', message, data); }
-    debug(message, data) { this.log('debug', message, data); }
-
-    getLogs() { return this.logs; }
-    clearLogs() { 
-        this.logs = [];
-        chrome.storage.local.remove('debug_logs');
-    }
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
 }
 
 class JobApplier {
     constructor() {
         this.currentJob = null;
         this.isProcessing = false;
-        this.isPaused = false;
+        this.pipelineState = null;
+        this.jobQueue = [];
+        this.savedSearches = [];
+        this.profiles = [];
+        this.activeProfileId = null;
+        this.profileFilter = '';
+        this.postingFilters = { sort: 'queue', skill: '', workplace: '', seniority: '', salaryListed: false, visaOffered: false };
+        this.cvVariants = [];
+        this.editingCvVariantId = null;
+        this.jobRules = [];
+        this.editingJobRuleId = null;
+        this.llmUsage = {};
+        this.llmBudget = { ...DEFAULT_LLM_BUDGET };
+        this.coverLetterTemplates = [];
+        this.editingCoverLetterTemplateId = null;
+        this.importedCvName = null;
+        this.detailJobId = null;
+        this.reviewedCoverLetter = null;
+        this.compareVersion = null;
+        this.regeneratingCoverLetter = false;
+        this.regenerationRequestId = null;
+        this.lastStatusTimestamp = Date.now();
         this.logger = new Logger();
+        this.contentClient = new ContentClient(this.logger);
         this.init();
     }
 
@@ -56,13 +62,14 @@ class JobApplier {
         try {
             this.setupEventListeners();
             await this.loadUserData();
-            await this.loadJobQueue();
-            
-            // Restore application state from background
-            await this.restoreApplicationState();
+            await this.loadProfileSettings();
+            await this.loadResumes();
+            await this.loadCvVariants();
+            await this.loadJobRules();
+            await this.loadCoverLetterSettings();
             
-            // Listen for background messages
-            this.setupBackgroundMessageListener();
+            // Subscribe to the background pipeline's state
+            this.connectPipeline();
             
             this.updateUI();
             this.checkCurrentTab();
@@ -91,11 +98,80 @@ class JobApplier {
         document.getElementById('start-application').addEventListener('click', () => this.startApplication());
         document.getElementById('pause-application').addEventListener('click', () => this.pauseApplication());
         document.getElementById('clear-data').addEventListener('click', () => this.clearAllData());
+        document.getElementById('retry-failed').addEventListener('click', () => this.retryFailedJobs());
+        document.getElementById('diagnose-page').addEventListener('click', () => this.diagnosePage());
 
         // Review section buttons
         document.getElementById('confirm-apply').addEventListener('click', () => this.confirmApplication());
         document.getElementById('decline-apply').addEventListener('click', () => this.declineApplication());
         document.getElementById('navigate-to-job').addEventListener('click', () => this.navigateToJob());
+        document.getElementById('regenerate-cover-letter').addEventListener('click', () => this.regenerateCoverLetter());
+        document.getElementById('revert-cover-letter').addEventListener('click', () => this.revertCoverLetter());
+        document.getElementById('review-cover-letter').addEventListener('input', () => {
+            document.getElementById('compare-current-text').textContent = document.getElementById('review-cover-letter').value;
+        });
+
+        // LLM provider
+        document.getElementById('llmProvider').addEventListener('change', () => this.updateLLMProviderHints());
+
+        // Resume files
+        document.getElementById('resume-upload').addEventListener('change', (e) => this.addResumeFiles(e.target.files));
+
+        // Search profiles
+        document.getElementById('profileSelect').addEventListener('change', (e) => this.selectProfile(e.target.value));
+        document.getElementById('new-profile').addEventListener('click', () => this.newProfile());
+        document.getElementById('clone-profile').addEventListener('click', () => this.cloneProfile());
+        document.getElementById('delete-profile').addEventListener('click', () => this.deleteProfile());
+        document.querySelectorAll('.profile-filter').forEach(select => {
+            select.addEventListener('change', (e) => this.setProfileFilter(e.target.value));
+        });
+
+        // Postings filters and sorting
+        const seniority = document.getElementById('filter-seniority');
+        seniority.add(new Option('Any seniority', ''));
+        Object.entries(SENIORITY_LABELS).forEach(([level, label]) => seniority.add(new Option(label, level)));
+
+        const postingControls = {
+            'job-sort': (element) => ({ sort: element.value }),
+            'filter-skill': (element) => ({ skill: element.value }),
+            'filter-workplace': (element) => ({ workplace: element.value }),
+            'filter-seniority': (element) => ({ seniority: element.value }),
+            'filter-salary': (element) => ({ salaryListed: element.checked }),
+            'filter-visa': (element) => ({ visaOffered: element.checked })
+        };
+        Object.entries(postingControls).forEach(([id, read]) => {
+            const element = document.getElementById(id);
+            element.addEventListener(element.type === 'text' ? 'input' : 'change', () => {
+                Object.assign(this.postingFilters, read(element));
+                this.renderJobList();
+            });
+        });
+
+        // Job queue export and import
+        document.getElementById('export-csv').addEventListener('click', () => this.exportQueue('csv'));
+        document.getElementById('export-xlsx').addEventListener('click', () => this.exportQueue('xlsx'));
+        document.getElementById('export-json').addEventListener('click', () => this.exportQueue('json'));
+        document.getElementById('import-queue-btn').addEventListener('click', () => document.getElementById('import-queue').click());
+        document.getElementById('import-queue').addEventListener('change', (e) => this.importQueue(e.target.files[0]));
+
+        // CV import
+        document.getElementById('cv-import').addEventListener('change', (e) => this.importCv(e.target.files[0]));
+        document.getElementById('cv-import-use').addEventListener('click', () => this.useImportedCv());
+        document.getElementById('cv-import-variant').addEventListener('click', () => this.addImportedCvToLibrary());
+        document.getElementById('cv-import-cancel').addEventListener('click', () => this.hideCvImportPreview());
+
+        // CV library
+        document.getElementById('save-cv-variant').addEventListener('click', () => this.saveCvVariant());
+
+        // Job filter rules
+        document.getElementById('jobRuleType').addEventListener('change', () => this.updateJobRuleForm());
+        document.getElementById('save-job-rule').addEventListener('click', () => this.saveJobRule());
+
+        // Cover letter templates
+        document.getElementById('save-cover-letter-template').addEventListener('click', () => this.saveCoverLetterTemplate());
+
+        // Saved searches
+        document.getElementById('save-search').addEventListener('click', () => this.saveCurrentSearch());
     }
 
     /**
@@ -124,17 +200,17 @@ class JobApplier {
     async loadUserData() {
         this.logger.info('Loading user data from storage');
         try {
-            const result = await chrome.storage.local.get(['keywords', 'criteria', 'cv', 'llmToken']);
+            const result = await chrome.storage.local.get(['llmToken', 'llmSettings', 'maxPages', 'targetJobCount', 'autoApply', 'pacing', 'modelPricing', 'llmBudget']);
             
-            if (result.keywords) document.getElementById('keywords').value = result.keywords;
-            if (result.criteria) document.getElementById('criteria').value = result.criteria;
-            if (result.cv) document.getElementById('cv').value = result.cv;
+            if (result.maxPages) document.getElementById('maxPages').value = result.maxPages;
+            if (result.targetJobCount) document.getElementById('targetJobCount').value = result.targetJobCount;
             if (result.llmToken) document.getElementById('llmToken').value = result.llmToken;
+            this.populateLLMSettings({ ...DEFAULT_LLM_SETTINGS, ...result.llmSettings });
+            this.populateAutoApplySettings({ ...DEFAULT_AUTO_APPLY_SETTINGS, ...result.autoApply });
+            this.populatePacingSettings({ ...DEFAULT_PACING_SETTINGS, ...result.pacing });
+            this.populateUsageSettings(result.modelPricing || DEFAULT_MODEL_PRICING, { ...DEFAULT_LLM_BUDGET, ...result.llmBudget });
             
             this.logger.info('User data loaded successfully', {
-                hasKeywords: !!result.keywords,
-                hasCriteria: !!result.criteria,
-                hasCV: !!result.cv,
                 hasToken: !!result.llmToken
             });
         } catch (error) {
@@ -143,39 +219,431 @@ class JobApplier {
     }
 
     /**
-     * Load job queue from storage
+     * Load the search profiles and show the active one in settings
+     */
+    async loadProfileSettings() {
+        const { profiles, activeProfileId } = await loadProfiles();
+        this.profiles = profiles;
+        this.activeProfileId = activeProfileId;
+        this.renderProfileOptions();
+        this.populateProfile(this.activeProfile);
+        this.logger.info('Profiles loaded', { count: profiles.length, active: this.activeProfile?.name });
+    }
+
+    get activeProfile() {
+        return this.profiles.find(profile => profile.id === this.activeProfileId) || null;
+    }
+
+    /**
+     * Fill the per-profile fields (name, keywords, filters, criteria, CV)
      */
-    async loadJobQueue() {
-        this.logger.info('Loading job queue from storage');
+    populateProfile(profile) {
+        document.getElementById('profileName').value = profile?.name || '';
+        document.getElementById('keywords').value = profile?.keywords || '';
+        document.getElementById('criteria').value = profile?.criteria || '';
+        document.getElementById('cv').value = profile?.cv || '';
+        this.populateSearchFilters(profile?.searchFilters || {});
+    }
+
+    /**
+     * Read the per-profile fields from the settings form
+     */
+    readProfileForm() {
+        return {
+            name: document.getElementById('profileName').value.trim() || DEFAULT_PROFILE_NAME,
+            keywords: document.getElementById('keywords').value,
+            searchFilters: this.readSearchFilters(),
+            criteria: document.getElementById('criteria').value,
+            cv: document.getElementById('cv').value
+        };
+    }
+
+    /**
+     * Fill the profile picker in settings and the profile filters in the Summary and Postings tabs
+     */
+    renderProfileOptions() {
+        const profileSelect = document.getElementById('profileSelect');
+        profileSelect.innerHTML = '';
+        this.profiles.forEach(profile => profileSelect.add(new Option(profile.name, profile.id, false, profile.id === this.activeProfileId)));
+
+        // A filter on a deleted profile falls back to all profiles
+        if (this.profileFilter && !this.profiles.some(profile => profile.id === this.profileFilter)) {
+            this.profileFilter = '';
+        }
+
+        document.querySelectorAll('.profile-filter').forEach(select => {
+            select.innerHTML = '';
+            select.add(new Option('All profiles', ''));
+            this.profiles.forEach(profile => select.add(new Option(profile.name, profile.id)));
+            select.value = this.profileFilter;
+        });
+    }
+
+    async saveProfiles() {
+        await chrome.storage.local.set({ profiles: this.profiles, activeProfileId: this.activeProfileId });
+        this.renderProfileOptions();
+    }
+
+    /**
+     * Make a profile active and show it in settings; unsaved edits to the previous one are dropped
+     */
+    async selectProfile(profileId) {
+        this.activeProfileId = profileId;
+        this.populateProfile(this.activeProfile);
+        this.resetCvVariantForm();
+        this.renderCvVariantList();
+        await this.saveProfiles();
+        this.logger.info('Profile selected', { name: this.activeProfile?.name });
+    }
+
+    async newProfile() {
+        const profile = createProfile({ name: `Profile ${this.profiles.length + 1}` });
+        this.profiles.push(profile);
+        await this.selectProfile(profile.id);
+        this.showStatus(`Created profile "${profile.name}".`, 'success');
+    }
+
+    /**
+     * Copy the profile as currently shown in the form into a new profile
+     */
+    async cloneProfile() {
+        const fields = this.readProfileForm();
+        const profile = createProfile({ ...fields, searchFilters: { ...fields.searchFilters }, name: `${fields.name} (copy)` });
+        this.profiles.push(profile);
+        await this.selectProfile(profile.id);
+        this.showStatus(`Created profile "${profile.name}".`, 'success');
+    }
+
+    /**
+     * Delete the active profile; jobs it found stay in the queue
+     */
+    async deleteProfile() {
+        const profile = this.activeProfile;
+        if (!profile) return;
+
+        if (this.profiles.length === 1) {
+            this.showStatus('At least one profile is required.', 'error');
+            return;
+        }
+
+        // Open jobs and saved searches would otherwise be analyzed and applied without this profile's CV and criteria
+        const openJobs = this.jobQueue.filter(job => job.profileId === profile.id && ['pending', 'reviewing', 'applying', 'failed'].includes(job.status));
+        const searches = this.savedSearches.filter(search => search.profileId === profile.id);
+        if (openJobs.length > 0 || searches.length > 0) {
+            this.showStatus(`"${profile.name}" still has ${openJobs.length} open job(s) and ${searches.length} saved search(es). Finish, skip or delete them first.`, 'error');
+            return;
+        }
+
+        if (!confirm(`Delete the profile "${profile.name}"? Jobs it found stay in the queue.`)) return;
+
+        this.profiles = this.profiles.filter(candidate => candidate.id !== profile.id);
+        this.cvVariants = this.cvVariants.filter(variant => variant.profileId !== profile.id);
+        await chrome.storage.local.set({ cvVariants: this.cvVariants });
+        await this.selectProfile(this.profiles[0].id);
+        this.showStatus(`Deleted profile "${profile.name}".`, 'success');
+    }
+
+    /**
+     * Show only the jobs of one profile in the Summary and Postings tabs ('' for all)
+     */
+    setProfileFilter(profileId) {
+        this.profileFilter = profileId;
+        document.querySelectorAll('.profile-filter').forEach(select => select.value = profileId);
+        this.updateUI();
+    }
+
+    /**
+     * Jobs of the filtered profile, each with its index in the full queue
+     */
+    filteredJobs() {
+        return this.jobQueue
+            .map((job, index) => ({ job, index }))
+            .filter(({ job }) => !this.profileFilter || job.profileId === this.profileFilter);
+    }
+
+    /**
+     * The jobs listed in the Postings tab: the profile filter plus the metadata filters, in the chosen order
+     */
+    postingJobs() {
+        const { sort, skill, workplace, seniority, salaryListed, visaOffered } = this.postingFilters;
+        const skillQuery = skill.trim().toLowerCase();
+
+        const jobs = this.filteredJobs().filter(({ job }) => {
+            const metadata = job.metadata || {};
+            if (workplace && metadata.workplaceType !== workplace) return false;
+            if (seniority && metadata.seniority !== seniority) return false;
+            if (salaryListed && !metadata.salary) return false;
+            if (visaOffered && metadata.visaSponsorship !== 'offered') return false;
+            if (skillQuery) {
+                const skills = [...(metadata.requiredSkills || []), ...(metadata.niceToHaveSkills || [])];
+                if (!skills.some(name => name.toLowerCase().includes(skillQuery))) return false;
+            }
+            return true;
+        });
+
+        // Salaries in different currencies are compared by amount only
+        const sorters = {
+            dateFound: (a, b) => (b.job.dateFound || '').localeCompare(a.job.dateFound || ''),
+            matchScore: (a, b) => (b.job.matchScore ?? -1) - (a.job.matchScore ?? -1),
+            localScore: (a, b) => (b.job.localScore ?? -1) - (a.job.localScore ?? -1),
+            salary: (a, b) => (annualSalary(b.job.metadata?.salary) ?? -1) - (annualSalary(a.job.metadata?.salary) ?? -1),
+            experience: (a, b) => (a.job.metadata?.yearsOfExperience?.min ?? 99) - (b.job.metadata?.yearsOfExperience?.min ?? 99),
+            company: (a, b) => a.job.company.localeCompare(b.job.company)
+        };
+        return sorters[sort] ? jobs.sort(sorters[sort]) : jobs;
+    }
+
+    /**
+     * Fill the LLM provider fields and show the provider's defaults as placeholders
+     */
+    populateLLMSettings(llmSettings) {
+        document.getElementById('llmProvider').value = llmSettings.provider;
+        document.getElementById('llmBaseUrl').value = llmSettings.baseUrl || '';
+        document.getElementById('llmModel').value = llmSettings.model || '';
+        document.getElementById('llmTemperature').value = llmSettings.temperature;
+        document.getElementById('llmMaxTokens').value = llmSettings.maxTokens;
+        this.updateLLMProviderHints();
+    }
+
+    /**
+     * Show the selected provider's default base URL and model as placeholders
+     */
+    updateLLMProviderHints() {
+        const provider = LLM_PROVIDERS[document.getElementById('llmProvider').value];
+        document.getElementById('llmBaseUrl').placeholder = provider.baseUrl || 'https://your-server.example.com/v1';
+        document.getElementById('llmModel').placeholder = provider.model || 'Model name';
+        document.getElementById('llmToken').placeholder = provider.requiresKey ? 'API key' : 'Optional';
+    }
+
+    /**
+     * Read the LLM provider fields from the settings form
+     */
+    readLLMSettings() {
+        const temperature = parseFloat(document.getElementById('llmTemperature').value);
+        return {
+            provider: document.getElementById('llmProvider').value,
+            baseUrl: document.getElementById('llmBaseUrl').value.trim(),
+            model: document.getElementById('llmModel').value.trim(),
+            temperature: Number.isFinite(temperature) ? temperature : DEFAULT_LLM_SETTINGS.temperature,
+            maxTokens: parseInt(document.getElementById('llmMaxTokens').value, 10) || DEFAULT_LLM_SETTINGS.maxTokens
+        };
+    }
+
+    /**
+     * Request host access for a custom LLM base URL
+     * Must be called before the first await of a user gesture handler
+     */
+    requestLLMHostPermission(baseUrl) {
+        if (!baseUrl) {
+            return Promise.resolve(true);
+        }
+
         try {
-            const result = await chrome.storage.local.get(['jobQueue']);
-            this.jobQueue = result.jobQueue || [];
-            this.logger.info(`Job queue loaded: ${this.jobQueue.length} jobs`, {
-                pending: this.jobQueue.filter(j => j.status === 'pending').length,
-                reviewing: this.jobQueue.filter(j => j.status === 'reviewing').length,
-                applied: this.jobQueue.filter(j => j.status === 'applied').length
-            });
+            const { origin } = new URL(baseUrl);
+            return chrome.permissions.request({ origins: [`${origin}/*`] });
         } catch (error) {
-            this.logger.error('Failed to load job queue', error);
-            this.jobQueue = [];
+            return Promise.resolve(false);
         }
     }
 
+    /**
+     * Fill the search filter fields from saved filters
+     */
+    populateSearchFilters(filters) {
+        document.getElementById('location').value = filters.location || '';
+        document.getElementById('geoId').value = filters.geoId || '';
+        document.getElementById('datePosted').value = filters.datePosted || '';
+        document.getElementById('easyApplyOnly').checked = !!filters.easyApplyOnly;
+
+        document.querySelectorAll('.checkbox-group[data-filter]').forEach(group => {
+            const selected = filters[group.dataset.filter] || [];
+            group.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+                checkbox.checked = selected.includes(checkbox.value);
+            });
+        });
+    }
+
+    /**
+     * Read the search filter fields from the settings form
+     */
+    readSearchFilters() {
+        const filters = {
+            location: document.getElementById('location').value.trim(),
+            geoId: document.getElementById('geoId').value.trim(),
+            datePosted: document.getElementById('datePosted').value,
+            easyApplyOnly: document.getElementById('easyApplyOnly').checked
+        };
+
+        document.querySelectorAll('.checkbox-group[data-filter]').forEach(group => {
+            filters[group.dataset.filter] = Array.from(group.querySelectorAll('input[type="checkbox"]:checked'))
+                .map(checkbox => checkbox.value);
+        });
+
+        return filters;
+    }
+
+    /**
+     * Fill the auto-apply fields from saved settings
+     */
+    populateAutoApplySettings(autoApply) {
+        document.getElementById('autoApplyEnabled').checked = !!autoApply.enabled;
+        document.getElementById('autoApplyThreshold').value = autoApply.applyThreshold;
+        document.getElementById('autoDeclineThreshold').value = autoApply.declineThreshold;
+        document.getElementById('autoDailyCap').value = autoApply.dailyCap;
+        document.getElementById('autoRequiredKeywords').value = autoApply.requiredKeywords.join(', ');
+        document.getElementById('autoReviewCompanies').value = autoApply.reviewCompanies.join('\n');
+        document.getElementById('autoReviewStarred').checked = !!autoApply.reviewStarred;
+    }
+
+    /**
+     * Read the auto-apply fields from the settings form
+     */
+    readAutoApplySettings() {
+        const readNumber = (id, fallback) => {
+            const value = parseInt(document.getElementById(id).value, 10);
+            return Number.isFinite(value) ? value : fallback;
+        };
+        const splitList = (value, separator) => value.split(separator).map(item => item.trim()).filter(Boolean);
+
+        return {
+            enabled: document.getElementById('autoApplyEnabled').checked,
+            applyThreshold: readNumber('autoApplyThreshold', DEFAULT_AUTO_APPLY_SETTINGS.applyThreshold),
+            declineThreshold: readNumber('autoDeclineThreshold', DEFAULT_AUTO_APPLY_SETTINGS.declineThreshold),
+            dailyCap: readNumber('autoDailyCap', DEFAULT_AUTO_APPLY_SETTINGS.dailyCap),
+            requiredKeywords: splitList(document.getElementById('autoRequiredKeywords').value, ','),
+            reviewCompanies: splitList(document.getElementById('autoReviewCompanies').value, '\n'),
+            reviewStarred: document.getElementById('autoReviewStarred').checked
+        };
+    }
+
+    /**
+     * Fill the pacing fields from saved settings
+     */
+    populatePacingSettings(pacing) {
+        document.getElementById('pacingJobDelayMin').value = pacing.jobDelayMin;
+        document.getElementById('pacingJobDelayMax').value = pacing.jobDelayMax;
+        document.getElementById('pacingPageDelayMin').value = pacing.pageDelayMin;
+        document.getElementById('pacingPageDelayMax').value = pacing.pageDelayMax;
+        document.getElementById('pacingHourlyCap').value = pacing.hourlyCap;
+        document.getElementById('pacingDailyCap').value = pacing.dailyCap;
+        document.getElementById('pacingErrorCooldown').value = pacing.errorCooldown;
+        document.getElementById('pacingQuietHoursEnabled').checked = !!pacing.quietHoursEnabled;
+        document.getElementById('pacingQuietHoursStart').value = pacing.quietHoursStart;
+        document.getElementById('pacingQuietHoursEnd').value = pacing.quietHoursEnd;
+    }
+
+    /**
+     * Read the pacing fields from the settings form
+     */
+    readPacingSettings() {
+        const readNumber = (id, fallback) => {
+            const value = parseFloat(document.getElementById(id).value);
+            return Number.isFinite(value) && value >= 0 ? value : fallback;
+        };
+
+        return {
+            jobDelayMin: readNumber('pacingJobDelayMin', DEFAULT_PACING_SETTINGS.jobDelayMin),
+            jobDelayMax: readNumber('pacingJobDelayMax', DEFAULT_PACING_SETTINGS.jobDelayMax),
+            pageDelayMin: readNumber('pacingPageDelayMin', DEFAULT_PACING_SETTINGS.pageDelayMin),
+            pageDelayMax: readNumber('pacingPageDelayMax', DEFAULT_PACING_SETTINGS.pageDelayMax),
+            hourlyCap: readNumber('pacingHourlyCap', DEFAULT_PACING_SETTINGS.hourlyCap),
+            dailyCap: readNumber('pacingDailyCap', DEFAULT_PACING_SETTINGS.dailyCap),
+            errorCooldown: readNumber('pacingErrorCooldown', DEFAULT_PACING_SETTINGS.errorCooldown),
+            quietHoursEnabled: document.getElementById('pacingQuietHoursEnabled').checked,
+            quietHoursStart: document.getElementById('pacingQuietHoursStart').value || DEFAULT_PACING_SETTINGS.quietHoursStart,
+            quietHoursEnd: document.getElementById('pacingQuietHoursEnd').value || DEFAULT_PACING_SETTINGS.quietHoursEnd
+        };
+    }
+
+    /**
+     * Fill the model pricing and budget fields from saved settings
+     */
+    populateUsageSettings(pricing, budget) {
+        this.llmBudget = budget;
+        document.getElementById('modelPricing').value = formatModelPricing(pricing);
+        document.getElementById('llmBudgetDaily').value = budget.daily || '';
+        document.getElementById('llmBudgetMonthly').value = budget.monthly || '';
+    }
+
+    /**
+     * Read the budget fields from the settings form; empty fields mean no limit
+     */
+    readLLMBudget() {
+        const readNumber = (id) => {
+            const value = parseFloat(document.getElementById(id).value);
+            return Number.isFinite(value) && value > 0 ? value : 0;
+        };
+
+        return {
+            daily: readNumber('llmBudgetDaily'),
+            monthly: readNumber('llmBudgetMonthly')
+        };
+    }
+
     /**
      * Save user settings
      */
     async saveSettings() {
         this.logger.info('Saving user settings');
+        const llmSettings = this.readLLMSettings();
+        const autoApply = this.readAutoApplySettings();
+        const pacing = this.readPacingSettings();
+
+        if (pacing.jobDelayMin > pacing.jobDelayMax || pacing.pageDelayMin > pacing.pageDelayMax) {
+            this.showStatus('Each minimum wait must be less than or equal to its maximum.', 'error');
+            return;
+        }
+
+        if (autoApply.declineThreshold > autoApply.applyThreshold) {
+            this.showStatus('The decline threshold cannot be above the apply threshold.', 'error');
+            return;
+        }
+
+        let modelPricing;
+        try {
+            modelPricing = parseModelPricing(document.getElementById('modelPricing').value);
+        } catch (error) {
+            this.showStatus(error.message, 'error');
+            return;
+        }
+        const llmBudget = this.readLLMBudget();
+
+        const hostPermission = this.requestLLMHostPermission(llmSettings.baseUrl);
+
         try {
+            if (!await hostPermission) {
+                this.showStatus(`Access to ${llmSettings.baseUrl} was not granted; LLM requests to it will fail.`, 'error');
+            }
+
+            // The per-profile fields are saved to the active profile
+            let profile = this.activeProfile;
+            if (!profile) {
+                profile = createProfile();
+                this.profiles.push(profile);
+                this.activeProfileId = profile.id;
+            }
+            Object.assign(profile, this.readProfileForm());
+
             const settings = {
-                keywords: document.getElementById('keywords').value,
-                criteria: document.getElementById('criteria').value,
-                cv: document.getElementById('cv').value,
-                llmToken: document.getElementById('llmToken').value
+                profiles: this.profiles,
+                activeProfileId: this.activeProfileId,
+                maxPages: parseInt(document.getElementById('maxPages').value, 10) || DEFAULT_MAX_PAGES,
+                targetJobCount: parseInt(document.getElementById('targetJobCount').value, 10) || DEFAULT_TARGET_JOB_COUNT,
+                llmToken: document.getElementById('llmToken').value,
+                llmSettings,
+                autoApply,
+                pacing,
+                modelPricing,
+                llmBudget,
+                coverLetterStyle: this.readCoverLetterStyle(),
+                defaultCoverLetterTemplateId: document.getElementById('defaultCoverLetterTemplate').value || null
             };
 
             await chrome.storage.local.set(settings);
-            this.logger.info('Settings saved successfully', settings);
+            this.llmBudget = llmBudget;
+            this.renderLLMUsage();
+            this.renderProfileOptions();
+            this.logger.info('Settings saved successfully', { ...settings, profiles: this.profiles.length, llmToken: settings.llmToken ? '***' : '' });
             this.showStatus('Settings saved successfully!', 'success');
             
             // Auto-switch to summary tab after successful save
@@ -193,15 +661,616 @@ class JobApplier {
      * Clear all data
      */
     async clearAllData() {
-        if (confirm('Are you sure you want to clear all data? This cannot be undone.')) {
-            await chrome.storage.local.clear();
-            this.jobQueue = [];
-            this.updateUI();
-            this.showStatus('All data cleared successfully!', 'success');
+        if (confirm('Are you sure you want to clear all data? This cannot be undone. Export the job queue as JSON first to keep its history.')) {
+            this.sendCommand('CLEAR_DATA');
             
             // Clear form fields
             document.getElementById('settings-form').reset();
+            this.populateLLMSettings(DEFAULT_LLM_SETTINGS);
+            this.populateAutoApplySettings(DEFAULT_AUTO_APPLY_SETTINGS);
+            this.populatePacingSettings(DEFAULT_PACING_SETTINGS);
+            this.populateUsageSettings(DEFAULT_MODEL_PRICING, DEFAULT_LLM_BUDGET);
+            this.profiles = [];
+            this.activeProfileId = null;
+            this.renderProfileOptions();
+            this.resumes = [];
+            this.defaultResumeId = null;
+            this.renderResumeList();
+            this.cvVariants = [];
+            this.resetCvVariantForm();
+            this.renderCvVariantList();
+            this.jobRules = [];
+            this.resetJobRuleForm();
+            this.renderJobRuleList();
+            this.coverLetterTemplates = [];
+            this.resetCoverLetterTemplateForm();
+            this.renderCoverLetterTemplates('');
+            this.populateCoverLetterStyle(DEFAULT_COVER_LETTER_STYLE);
+        }
+    }
+
+    /**
+     * Load stored resume files and render them in settings
+     */
+    async loadResumes() {
+        const { resumes = [], defaultResumeId = null } = await chrome.storage.local.get(['resumes', 'defaultResumeId']);
+        this.resumes = resumes;
+        this.defaultResumeId = defaultResumeId;
+        this.renderResumeList();
+    }
+
+    /**
+     * Store uploaded resume files (PDF/DOCX) as data URLs
+     */
+    async addResumeFiles(fileList) {
+        const files = Array.from(fileList || []);
+
+        for (const file of files) {
+            if (!RESUME_TYPES[file.type]) {
+                this.showStatus(`${file.name} is not a PDF or DOCX file.`, 'error');
+                continue;
+            }
+            if (file.size > MAX_RESUME_SIZE) {
+                this.showStatus(`${file.name} is larger than LinkedIn's 2 MB limit.`, 'error');
+                continue;
+            }
+
+            const dataUrl = await new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = () => resolve(reader.result);
+                reader.onerror = () => reject(reader.error);
+                reader.readAsDataURL(file);
+            });
+
+            this.resumes.push({
+                id: `resume_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+                name: file.name,
+                type: file.type,
+                size: file.size,
+                dataUrl,
+                uploadedAt: new Date().toISOString()
+            });
+            this.logger.info('Resume file stored', { name: file.name, size: file.size });
+        }
+
+        if (!this.defaultResumeId && this.resumes.length > 0) {
+            this.defaultResumeId = this.resumes[0].id;
+        }
+
+        await chrome.storage.local.set({ resumes: this.resumes, defaultResumeId: this.defaultResumeId });
+        document.getElementById('resume-upload').value = '';
+        this.renderResumeList();
+        this.renderCvVariantList();
+    }
+
+    /**
+     * Remove a stored resume file
+     */
+    async removeResume(resumeId) {
+        this.resumes = this.resumes.filter(resume => resume.id !== resumeId);
+        if (this.defaultResumeId === resumeId) {
+            this.defaultResumeId = this.resumes[0]?.id || null;
+        }
+        await chrome.storage.local.set({ resumes: this.resumes, defaultResumeId: this.defaultResumeId });
+        this.renderResumeList();
+        this.renderCvVariantList();
+    }
+
+    /**
+     * Mark a stored resume as the one used for applications
+     */
+    async setDefaultResume(resumeId) {
+        this.defaultResumeId = resumeId;
+        await chrome.storage.local.set({ defaultResumeId: resumeId });
+        this.renderResumeList();
+    }
+
+    /**
+     * Render the stored resume files in settings
+     */
+    renderResumeList() {
+        const list = document.getElementById('resume-list');
+        if (!list) return;
+
+        if (this.resumes.length === 0) {
+            list.innerHTML = '<div class="resume-empty">No resume files stored.</div>';
+            return;
+        }
+
+        list.innerHTML = '';
+        this.resumes.forEach(resume => {
+            const item = document.createElement('div');
+            item.className = 'resume-item';
+            item.innerHTML = `
+                <label class="checkbox-label">
+                    <input type="radio" name="default-resume" ${resume.id === this.defaultResumeId ? 'checked' : ''}>
+                    <span class="resume-name">${escapeHtml(resume.name)}</span>
+                    <span class="resume-size">${Math.round(resume.size / 1024)} KB</span>
+                </label>
+                <button type="button" class="btn btn-secondary btn-small">Remove</button>
+            `;
+            item.querySelector('input').addEventListener('change', () => this.setDefaultResume(resume.id));
+            item.querySelector('button').addEventListener('click', () => this.removeResume(resume.id));
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Parse a CV file locally and show the sectioned text for review before it is saved
+     */
+    async importCv(file) {
+        if (!file) return;
+        this.logger.info('Importing CV file', { name: file.name, size: file.size });
+
+        try {
+            const { format, text, sections, missing } = await importCvFile(file);
+            this.importedCvName = file.name.replace(/\.[^.]+$/, '');
+
+            const titles = sections.filter(section => section.title).map(section => section.title);
+            document.getElementById('cv-import-summary').innerHTML = `
+                Read ${format.toUpperCase()} · Sections: ${titles.length ? titles.join(', ') : 'none recognized'}
+                ${missing.length ? `<div class="warning">No ${missing.join(', ')} section found; check the text below.</div>` : ''}
+            `;
+            document.getElementById('cvImportText').value = text;
+            document.getElementById('cv-import-preview').classList.remove('hidden');
+            this.logger.info('CV file imported', { format, sections: titles, length: text.length });
+        } catch (error) {
+            this.logger.error('CV import failed', error);
+            this.showStatus(`Could not import CV: ${error.message}`, 'error');
+        } finally {
+            document.getElementById('cv-import').value = '';
+        }
+    }
+
+    /**
+     * Save the previewed CV as the active profile's CV
+     */
+    async useImportedCv() {
+        const text = document.getElementById('cvImportText').value.trim();
+        const profile = this.activeProfile;
+        if (!text || !profile) return;
+
+        document.getElementById('cv').value = text;
+        profile.cv = text;
+        await this.saveProfiles();
+
+        this.hideCvImportPreview();
+        this.showStatus(`Imported CV saved to the "${profile.name}" profile.`, 'success');
+    }
+
+    async addImportedCvToLibrary() {
+        const text = document.getElementById('cvImportText').value.trim();
+        if (!text) return;
+
+        const variant = createCvVariant({ name: this.importedCvName || 'Imported CV', text, profileId: this.activeProfileId });
+        this.cvVariants.push(variant);
+        await chrome.storage.local.set({ cvVariants: this.cvVariants });
+        this.renderCvVariantList();
+
+        this.hideCvImportPreview();
+        this.showStatus(`Imported CV added to the library as "${variant.name}".`, 'success');
+    }
+
+    hideCvImportPreview() {
+        document.getElementById('cv-import-preview').classList.add('hidden');
+        document.getElementById('cvImportText').value = '';
+    }
+
+    /**
+     * Load the CV library and render the active profile's variants in settings
+     */
+    async loadCvVariants() {
+        this.cvVariants = await loadCvVariants();
+        this.renderCvVariantList();
+    }
+
+    /**
+     * Add the variant in the CV library form, or update the one being edited
+     */
+    async saveCvVariant() {
+        const name = document.getElementById('cvVariantName').value.trim();
+        const text = document.getElementById('cvVariantText').value.trim();
+        const resumeId = document.getElementById('cvVariantResume').value || null;
+
+        if (!name || !text) {
+            this.showStatus('Please give the CV variant a name and its CV text.', 'error');
+            return;
         }
+
+        const existing = this.cvVariants.find(variant => variant.id === this.editingCvVariantId);
+        if (existing) {
+            Object.assign(existing, { name, text, resumeId });
+        } else {
+            this.cvVariants.push(createCvVariant({ name, text, resumeId, profileId: this.activeProfileId }));
+        }
+
+        await chrome.storage.local.set({ cvVariants: this.cvVariants });
+        this.logger.info('CV variant saved', { name, updated: !!existing });
+        this.showStatus(`CV variant "${name}" saved.`, 'success');
+        this.resetCvVariantForm();
+        this.renderCvVariantList();
+    }
+
+    editCvVariant(variantId) {
+        const variant = this.cvVariants.find(candidate => candidate.id === variantId);
+        if (!variant) return;
+
+        this.editingCvVariantId = variant.id;
+        document.getElementById('cvVariantName').value = variant.name;
+        document.getElementById('cvVariantText').value = variant.text;
+        document.getElementById('cvVariantResume').value = variant.resumeId || '';
+        document.getElementById('save-cv-variant').textContent = 'Update Variant';
+    }
+
+    async removeCvVariant(variantId) {
+        this.cvVariants = this.cvVariants.filter(variant => variant.id !== variantId);
+        if (this.editingCvVariantId === variantId) {
+            this.resetCvVariantForm();
+        }
+
+        await chrome.storage.local.set({ cvVariants: this.cvVariants });
+        this.renderCvVariantList();
+    }
+
+    resetCvVariantForm() {
+        this.editingCvVariantId = null;
+        document.getElementById('cvVariantName').value = '';
+        document.getElementById('cvVariantText').value = '';
+        document.getElementById('cvVariantResume').value = '';
+        document.getElementById('save-cv-variant').textContent = 'Add Variant';
+    }
+
+    /**
+     * Render the active profile's CV library, and the resume files a variant can be linked to
+     */
+    renderCvVariantList() {
+        const resumeSelect = document.getElementById('cvVariantResume');
+        const selectedResumeId = resumeSelect.value;
+        resumeSelect.innerHTML = '';
+        resumeSelect.add(new Option('Default resume', ''));
+        this.resumes.forEach(resume => resumeSelect.add(new Option(resume.name, resume.id)));
+        resumeSelect.value = this.resumes.some(resume => resume.id === selectedResumeId) ? selectedResumeId : '';
+
+        const list = document.getElementById('cv-variant-list');
+        const variants = this.cvVariants.filter(variant => variant.profileId === this.activeProfileId);
+        if (variants.length === 0) {
+            list.innerHTML = '<div class="resume-empty">No CV variants for this profile. Jobs are matched against the profile CV only.</div>';
+            return;
+        }
+
+        list.innerHTML = '';
+        variants.forEach(variant => {
+            const resume = this.resumes.find(candidate => candidate.id === variant.resumeId);
+            const item = document.createElement('div');
+            item.className = 'resume-item';
+            item.innerHTML = `
+                <span>
+                    <span class="resume-name">${escapeHtml(variant.name)}</span>
+                    <span class="resume-size">${resume ? escapeHtml(resume.name) : 'Default resume'}</span>
+                </span>
+                <span>
+                    <button type="button" class="btn btn-secondary btn-small edit-cv-variant-btn">Edit</button>
+                    <button type="button" class="btn btn-secondary btn-small remove-cv-variant-btn">Remove</button>
+                </span>
+            `;
+            item.querySelector('.edit-cv-variant-btn').addEventListener('click', () => this.editCvVariant(variant.id));
+            item.querySelector('.remove-cv-variant-btn').addEventListener('click', () => this.removeCvVariant(variant.id));
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Load the job filter rules and render them in settings
+     */
+    async loadJobRules() {
+        this.jobRules = await loadJobRules();
+        this.renderJobRuleList();
+    }
+
+    /**
+     * Show the workplace checkboxes for workplace rules and the pattern list for the others
+     */
+    updateJobRuleForm() {
+        const isWorkplace = document.getElementById('jobRuleType').value === 'workplace';
+        document.getElementById('jobRuleValues').classList.toggle('hidden', isWorkplace);
+        document.getElementById('job-rule-workplace').classList.toggle('hidden', !isWorkplace);
+    }
+
+    /**
+     * Add the rule in the filter rule form, or update the one being edited
+     */
+    async saveJobRule() {
+        const name = document.getElementById('jobRuleName').value.trim();
+        const type = document.getElementById('jobRuleType').value;
+        const splitLines = (id) => document.getElementById(id).value.split('\n').map(line => line.trim()).filter(Boolean);
+        const values = type === 'workplace'
+            ? Array.from(document.querySelectorAll('input[name="jobRuleWorkplace"]:checked'), checkbox => checkbox.value)
+            : splitLines('jobRuleValues');
+        const locations = type === 'workplace' ? splitLines('jobRuleLocations') : [];
+
+        if (!name || (values.length === 0 && locations.length === 0)) {
+            this.showStatus(type === 'workplace'
+                ? 'Please give the rule a name and pick a workplace type or location.'
+                : 'Please give the rule a name and at least one value.', 'error');
+            return;
+        }
+
+        const invalid = invalidRuleValues([...values, ...locations]);
+        if (invalid.length > 0) {
+            this.showStatus(`Invalid regular expression: ${invalid.join(', ')}`, 'error');
+            return;
+        }
+
+        const existing = this.jobRules.find(rule => rule.id === this.editingJobRuleId);
+        if (existing) {
+            Object.assign(existing, { name, type, values, locations });
+        } else {
+            this.jobRules.push(createJobRule({ name, type, values, locations }));
+        }
+
+        await chrome.storage.local.set({ jobRules: this.jobRules });
+        this.logger.info('Job filter rule saved', { name, type, updated: !!existing });
+        this.showStatus(`Rule "${name}" saved. It applies to jobs not analyzed yet.`, 'success');
+        this.resetJobRuleForm();
+        this.renderJobRuleList();
+    }
+
+    editJobRule(ruleId) {
+        const rule = this.jobRules.find(candidate => candidate.id === ruleId);
+        if (!rule) return;
+
+        this.editingJobRuleId = rule.id;
+        document.getElementById('jobRuleName').value = rule.name;
+        document.getElementById('jobRuleType').value = rule.type;
+        document.getElementById('jobRuleValues').value = rule.type === 'workplace' ? '' : rule.values.join('\n');
+        document.querySelectorAll('input[name="jobRuleWorkplace"]').forEach(checkbox => {
+            checkbox.checked = rule.type === 'workplace' && rule.values.includes(checkbox.value);
+        });
+        document.getElementById('jobRuleLocations').value = (rule.locations || []).join('\n');
+        document.getElementById('save-job-rule').textContent = 'Update Rule';
+        this.updateJobRuleForm();
+    }
+
+    async toggleJobRule(ruleId, enabled) {
+        const rule = this.jobRules.find(candidate => candidate.id === ruleId);
+        if (!rule) return;
+
+        rule.enabled = enabled;
+        await chrome.storage.local.set({ jobRules: this.jobRules });
+    }
+
+    async removeJobRule(ruleId) {
+        this.jobRules = this.jobRules.filter(rule => rule.id !== ruleId);
+        if (this.editingJobRuleId === ruleId) {
+            this.resetJobRuleForm();
+        }
+
+        await chrome.storage.local.set({ jobRules: this.jobRules });
+        this.renderJobRuleList();
+    }
+
+    resetJobRuleForm() {
+        this.editingJobRuleId = null;
+        document.getElementById('jobRuleName').value = '';
+        document.getElementById('jobRuleType').value = 'titleInclude';
+        document.getElementById('jobRuleValues').value = '';
+        document.querySelectorAll('input[name="jobRuleWorkplace"]').forEach(checkbox => { checkbox.checked = false; });
+        document.getElementById('jobRuleLocations').value = '';
+        document.getElementById('save-job-rule').textContent = 'Add Rule';
+        this.updateJobRuleForm();
+    }
+
+    /**
+     * Render the filter rules with a checkbox to turn each one off without deleting it
+     */
+    renderJobRuleList() {
+        const list = document.getElementById('job-rule-list');
+        if (this.jobRules.length === 0) {
+            list.innerHTML = '<div class="resume-empty">No filter rules. Every collected job is analyzed.</div>';
+            return;
+        }
+
+        list.innerHTML = '';
+        this.jobRules.forEach(rule => {
+            const values = [...rule.values, ...(rule.locations || []).map(location => `in ${location}`)];
+            const item = document.createElement('div');
+            item.className = 'resume-item';
+            item.innerHTML = `
+                <span>
+                    <label><input type="checkbox" class="toggle-job-rule" ${rule.enabled ? 'checked' : ''}> <span class="resume-name">${escapeHtml(rule.name)}</span></label>
+                    <span class="resume-size">${JOB_RULE_TYPES[rule.type]}: ${escapeHtml(values.join(', '))}</span>
+                </span>
+                <span>
+                    <button type="button" class="btn btn-secondary btn-small edit-job-rule-btn">Edit</button>
+                    <button type="button" class="btn btn-secondary btn-small remove-job-rule-btn">Remove</button>
+                </span>
+            `;
+            item.querySelector('.toggle-job-rule').addEventListener('change', (e) => this.toggleJobRule(rule.id, e.target.checked));
+            item.querySelector('.edit-job-rule-btn').addEventListener('click', () => this.editJobRule(rule.id));
+            item.querySelector('.remove-job-rule-btn').addEventListener('click', () => this.removeJobRule(rule.id));
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Load the cover letter templates and style guide into settings
+     */
+    async loadCoverLetterSettings() {
+        const { templates, template, style } = await loadCoverLetterSettings();
+        this.coverLetterTemplates = templates;
+        this.renderCoverLetterTemplates(template?.id || '');
+        this.populateCoverLetterStyle(style);
+    }
+
+    /**
+     * Fill the style guide fields in the settings form
+     */
+    populateCoverLetterStyle(style) {
+        document.getElementById('coverLetterTone').value = style.tone;
+        document.getElementById('coverLetterLength').value = style.length;
+        document.getElementById('coverLetterBannedPhrases').value = style.bannedPhrases.join('\n');
+        document.getElementById('coverLetterSignOff').value = style.signOff;
+    }
+
+    /**
+     * Read the style guide fields from the settings form
+     */
+    readCoverLetterStyle() {
+        return {
+            tone: document.getElementById('coverLetterTone').value,
+            length: document.getElementById('coverLetterLength').value,
+            bannedPhrases: document.getElementById('coverLetterBannedPhrases').value.split('\n').map(phrase => phrase.trim()).filter(Boolean),
+            signOff: document.getElementById('coverLetterSignOff').value.trim()
+        };
+    }
+
+    /**
+     * Add the template in the form, or update the one being edited
+     */
+    async saveCoverLetterTemplate() {
+        const name = document.getElementById('coverLetterTemplateName').value.trim();
+        const body = document.getElementById('coverLetterTemplateBody').value.trim();
+
+        if (!name || !body) {
+            this.showStatus('Please give the template a name and its text.', 'error');
+            return;
+        }
+
+        const unknown = [...body.matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map(match => match[1]).filter(key => !(key in COVER_LETTER_PLACEHOLDERS));
+        if (unknown.length > 0) {
+            this.showStatus(`Unknown placeholder(s): ${unknown.join(', ')}. Use ${Object.keys(COVER_LETTER_PLACEHOLDERS).map(key => `{{${key}}}`).join(', ')}.`, 'error');
+            return;
+        }
+
+        const existing = this.coverLetterTemplates.find(template => template.id === this.editingCoverLetterTemplateId);
+        if (existing) {
+            Object.assign(existing, { name, body });
+        } else {
+            this.coverLetterTemplates.push(createCoverLetterTemplate({ name, body }));
+        }
+
+        await chrome.storage.local.set({ coverLetterTemplates: this.coverLetterTemplates });
+        this.logger.info('Cover letter template saved', { name, updated: !!existing });
+        this.showStatus(`Cover letter template "${name}" saved.`, 'success');
+        this.resetCoverLetterTemplateForm();
+        this.renderCoverLetterTemplates(document.getElementById('defaultCoverLetterTemplate').value);
+    }
+
+    editCoverLetterTemplate(templateId) {
+        const template = this.coverLetterTemplates.find(candidate => candidate.id === templateId);
+        if (!template) return;
+
+        this.editingCoverLetterTemplateId = template.id;
+        document.getElementById('coverLetterTemplateName').value = template.name;
+        document.getElementById('coverLetterTemplateBody').value = template.body;
+        document.getElementById('save-cover-letter-template').textContent = 'Update Template';
+    }
+
+    async removeCoverLetterTemplate(templateId) {
+        this.coverLetterTemplates = this.coverLetterTemplates.filter(template => template.id !== templateId);
+        if (this.editingCoverLetterTemplateId === templateId) {
+            this.resetCoverLetterTemplateForm();
+        }
+
+        const defaultSelect = document.getElementById('defaultCoverLetterTemplate');
+        const defaultTemplateId = defaultSelect.value === templateId ? '' : defaultSelect.value;
+
+        await chrome.storage.local.set({
+            coverLetterTemplates: this.coverLetterTemplates,
+            defaultCoverLetterTemplateId: defaultTemplateId || null
+        });
+        this.renderCoverLetterTemplates(defaultTemplateId);
+    }
+
+    resetCoverLetterTemplateForm() {
+        this.editingCoverLetterTemplateId = null;
+        document.getElementById('coverLetterTemplateName').value = '';
+        document.getElementById('coverLetterTemplateBody').value = '';
+        document.getElementById('save-cover-letter-template').textContent = 'Add Template';
+    }
+
+    /**
+     * Render the template list and the choice of template for new cover letters
+     */
+    renderCoverLetterTemplates(defaultTemplateId) {
+        const defaultSelect = document.getElementById('defaultCoverLetterTemplate');
+        defaultSelect.innerHTML = '';
+        defaultSelect.add(new Option('None (free-form)', ''));
+        this.coverLetterTemplates.forEach(template => defaultSelect.add(new Option(template.name, template.id)));
+        defaultSelect.value = this.coverLetterTemplates.some(template => template.id === defaultTemplateId) ? defaultTemplateId : '';
+
+        const list = document.getElementById('cover-letter-template-list');
+        if (this.coverLetterTemplates.length === 0) {
+            list.innerHTML = '<div class="resume-empty">No templates. Cover letters are written free-form.</div>';
+            return;
+        }
+
+        list.innerHTML = '';
+        this.coverLetterTemplates.forEach(template => {
+            const item = document.createElement('div');
+            item.className = 'resume-item';
+            item.innerHTML = `
+                <span>
+                    <span class="resume-name">${escapeHtml(template.name)}</span>
+                    <span class="resume-size">${template.body.length} characters</span>
+                </span>
+                <span>
+                    <button type="button" class="btn btn-secondary btn-small edit-template-btn">Edit</button>
+                    <button type="button" class="btn btn-secondary btn-small remove-template-btn">Remove</button>
+                </span>
+            `;
+            item.querySelector('.edit-template-btn').addEventListener('click', () => this.editCoverLetterTemplate(template.id));
+            item.querySelector('.remove-template-btn').addEventListener('click', () => this.removeCoverLetterTemplate(template.id));
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Save the search fields currently in the form as a scheduled search
+     */
+    saveCurrentSearch() {
+        const search = {
+            name: document.getElementById('savedSearchName').value.trim(),
+            keywords: document.getElementById('keywords').value.trim(),
+            searchFilters: this.readSearchFilters(),
+            intervalHours: document.getElementById('savedSearchInterval').value || DEFAULT_SAVED_SEARCH_INTERVAL_HOURS,
+            analyze: document.getElementById('savedSearchAnalyze').checked,
+            profileId: this.activeProfileId
+        };
+
+        this.sendCommand('SAVE_SEARCH', { search });
+        document.getElementById('savedSearchName').value = '';
+    }
+
+    /**
+     * Render the saved searches with their last run in settings
+     */
+    renderSavedSearches() {
+        const list = document.getElementById('saved-search-list');
+        if (!list) return;
+
+        if (this.savedSearches.length === 0) {
+            list.innerHTML = '<div class="resume-empty">No saved searches. Save the current search to run it on a schedule.</div>';
+            return;
+        }
+
+        list.innerHTML = '';
+        this.savedSearches.forEach(search => {
+            const lastRun = search.lastRunAt ? `Last run ${new Date(search.lastRunAt).toLocaleString()}: ${search.lastResult}` : 'Not run yet';
+            const item = document.createElement('div');
+            item.className = `saved-search-item ${search.enabled ? '' : 'disabled'}`;
+            item.innerHTML = `
+                <div class="saved-search-name">${escapeHtml(search.name)}</div>
+                <div class="saved-search-meta">${escapeHtml(this.profileName(search.profileId))} · every ${search.intervalHours}h${search.analyze ? ', analyzes new jobs' : ''} · ${escapeHtml(lastRun)}</div>
+                <button type="button" class="btn btn-secondary btn-small toggle-search-btn">${search.enabled ? 'Disable' : 'Enable'}</button>
+                <button type="button" class="btn btn-secondary btn-small run-search-btn">Run Now</button>
+                <button type="button" class="btn btn-secondary btn-small delete-search-btn">Delete</button>
+            `;
+            item.querySelector('.toggle-search-btn').addEventListener('click', () => this.sendCommand('TOGGLE_SEARCH', { searchId: search.id }));
+            item.querySelector('.run-search-btn').addEventListener('click', () => this.sendCommand('RUN_SEARCH', { searchId: search.id }));
+            item.querySelector('.delete-search-btn').addEventListener('click', () => this.sendCommand('DELETE_SEARCH', { searchId: search.id }));
+            list.appendChild(item);
+        });
     }
 
     /**
@@ -221,15 +1290,64 @@ class JobApplier {
      * Update statistics in summary tab
      */
     updateStats() {
-        const stats = this.jobQueue.reduce((acc, job) => {
+        const stats = this.filteredJobs().reduce((acc, { job }) => {
             acc[job.status] = (acc[job.status] || 0) + 1;
             return acc;
         }, {});
 
+        const funnel = jobFunnel(this.filteredJobs().map(({ job }) => job));
+
         document.getElementById('pending-count').textContent = stats.pending || 0;
-        document.getElementById('applied-count').textContent = stats.applied || 0;
+        // Every job that got an application out, including those further along the hiring process
+        document.getElementById('applied-count').textContent = funnel.stages[0].count;
         document.getElementById('skipped-count').textContent = stats.skipped || 0;
         document.getElementById('reviewing-count').textContent = stats.reviewing || 0;
+        document.getElementById('failed-count').textContent = stats.failed || 0;
+        document.getElementById('retry-failed').classList.toggle('hidden', !stats.failed);
+
+        this.renderFunnel(funnel);
+    }
+
+    /**
+     * Show today's and this month's LLM tokens and cost against the budgets
+     * Usage is not split by profile, so the profile filter does not apply
+     */
+    renderLLMUsage() {
+        const totals = usageTotals(this.llmUsage);
+        const hasBudget = this.llmBudget.daily > 0 || this.llmBudget.monthly > 0;
+        document.getElementById('llm-usage').classList.toggle('hidden', totals.month.calls === 0 && !hasBudget);
+
+        const row = (label, usage, budget) => `
+            <div class="usage-row">
+                <span>${label}</span>
+                <span>${usage.calls} call(s) · ${(usage.inputTokens + usage.outputTokens).toLocaleString()} tokens</span>
+                <span class="usage-cost ${budget > 0 && usage.cost >= budget ? 'over-budget' : ''}">${formatCost(usage.cost)}${budget > 0 ? ` / ${formatCost(budget)}` : ''}</span>
+            </div>
+        `;
+        document.getElementById('llm-usage-rows').innerHTML =
+            row('Today', totals.today, this.llmBudget.daily) + row('This month', totals.month, this.llmBudget.monthly);
+        document.getElementById('llm-usage-note').textContent = totals.month.unpricedCalls > 0
+            ? `${totals.month.unpricedCalls} call(s) this month used a model with no price set and are not in the cost.`
+            : '';
+    }
+
+    /**
+     * Show how many applications reached each hiring stage
+     */
+    renderFunnel(funnel) {
+        const applied = funnel.stages[0].count;
+        document.getElementById('funnel').classList.toggle('hidden', applied === 0);
+        if (applied === 0) return;
+
+        document.getElementById('funnel-stages').innerHTML = funnel.stages.map(stage => `
+            <div class="funnel-row">
+                <span>${stage.label}</span>
+                <div class="funnel-bar" style="width: ${Math.round(stage.count / applied * 100)}%"></div>
+                <span class="funnel-count">${stage.count}</span>
+            </div>
+        `).join('');
+        document.getElementById('funnel-outcomes').textContent =
+            `Rejected: ${funnel.rejected} · Withdrawn: ${funnel.withdrawn}`;
     }
 
     /**
@@ -255,7 +1373,12 @@ class JobApplier {
             noJobsMessage.textContent = 'No jobs found. Start the application process to begin collecting job postings.';
         }
 
-        if (this.jobQueue.length === 0) {
+        const jobs = this.postingJobs();
+
+        if (jobs.length === 0) {
+            noJobsMessage.textContent = this.filteredJobs().length > 0
+                ? 'No jobs match the filters.'
+                : 'No jobs found. Start the application process to begin collecting job postings.';
             noJobsMessage.style.display = 'block';
             jobListContainer.innerHTML = '';
             jobListContainer.appendChild(noJobsMessage);
@@ -265,7 +1388,7 @@ class JobApplier {
         noJobsMessage.style.display = 'none';
         jobListContainer.innerHTML = '';
 
-        this.jobQueue.forEach((job, index) => {
+        jobs.forEach(({ job, index }) => {
             try {
                 const jobItem = this.createJobItem(job, index);
                 if (jobItem) {
@@ -277,6 +1400,10 @@ class JobApplier {
         });
     }
 
+    profileName(profileId) {
+        return this.profiles.find(profile => profile.id === profileId)?.name || 'Deleted profile';
+    }
+
     /**
      * Create a job item element
      */
@@ -287,15 +1414,23 @@ class JobApplier {
 
         jobItem.innerHTML = `
             <div class="job-header">
-                <div class="job-title">${job.jobTitle}</div>
+                <div class="job-title">${escapeHtml(job.jobTitle)}</div>
                 <div class="job-star ${job.starred ? 'starred' : ''}" data-index="${index}">★</div>
             </div>
-            <div class="job-company">${job.company}</div>
-            <div class="job-status status-${job.status}">${job.status}</div>
-            ${job.matchScore ? `<div class="job-details">Match Score: ${job.matchScore}%</div>` : ''}
+            <div class="job-company">${escapeHtml(job.company)}</div>
+            ${this.profiles.length > 1 ? `<div class="job-details">Profile: ${escapeHtml(this.profileName(job.profileId))}</div>` : ''}
+            <div class="job-status status-${job.status}">${jobStatusLabel(job.status)}</div>
+            ${job.skippedByRule ? `<div class="job-details">Skipped by rule: ${escapeHtml(job.skippedByRule.name)}</div>` : ''}
+            ${this.metadataSummary(job) ? `<div class="job-metadata">${escapeHtml(this.metadataSummary(job))}</div>` : ''}
+            ${job.matchScore || job.localScore != null ? `<div class="job-details">${[
+                job.matchScore ? `Match Score: ${job.matchScore}%` : '',
+                job.localScore != null ? `<span title="Scored locally on the ${job.localScoreBasis === 'title' ? 'title' : 'description'}, no API call">Local: ${job.localScore}%</span>` : ''
+            ].filter(Boolean).join(' · ')}</div>` : ''}
             <div class="job-actions">
                 <button class="btn btn-secondary btn-small view-job-btn" data-index="${index}">View Job Post</button>
                 ${job.status === 'pending' ? `<button class="btn btn-primary btn-small process-job-btn" data-index="${index}">Process Job</button>` : ''}
+                ${job.queuedForReview ? `<button class="btn btn-primary btn-small process-job-btn" data-index="${index}">Review</button>` : ''}
+                ${job.status === 'failed' ? `<button class="btn btn-primary btn-small retry-job-btn" data-index="${index}">Retry</button>` : ''}
             </div>
         `;
 
@@ -329,6 +1464,15 @@ class JobApplier {
             });
         }
 
+        // Retry failed job button
+        const retryJobBtn = jobItem.querySelector('.retry-job-btn');
+        if (retryJobBtn) {
+            retryJobBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.retryJob(index);
+            });
+        }
+
         return jobItem;
     }
 
@@ -355,45 +1499,104 @@ class JobApplier {
                 <div class="job-actions" style="margin-top: 12px;">
                     <button id="view-job-post-${index}" class="btn btn-secondary btn-small">View Job Post</button>
                     ${job.status === 'pending' ? `<button id="process-job-${index}" class="btn btn-primary btn-small">Process Job</button>` : ''}
+                    ${job.status === 'failed' ? `<button id="retry-job-${index}" class="btn btn-primary btn-small">Retry</button>` : ''}
                     <button id="toggle-star-${index}" class="btn btn-secondary btn-small job-star ${job.starred ? 'starred' : ''}">★</button>
                 </div>
             </div>
             
             <div class="job-detail-content">
-                <h2 class="job-title">${job.jobTitle}</h2>
-                <h3 class="job-company">${job.company}</h3>
-                <div class="job-status status-${job.status}">${job.status}</div>
+                <h2 class="job-title">${escapeHtml(job.jobTitle)}</h2>
+                <h3 class="job-company">${escapeHtml(job.company)}</h3>
+                <div id="job-detail-status" class="job-status status-${job.status}">${jobStatusLabel(job.status)}</div>
+                
+                ${['applied', ...TRACKING_STATUSES].includes(job.status) ? `
+                <div class="job-info-section">
+                    <h4>Application Status</h4>
+                    <select id="tracking-status">
+                        ${['applied', ...TRACKING_STATUSES].map(status => `<option value="${status}" ${status === job.status ? 'selected' : ''}>${jobStatusLabel(status)}</option>`).join('')}
+                    </select>
+                </div>
+                ` : ''}
+                
+                <div class="job-info-section">
+                    <h4>Notes</h4>
+                    <textarea id="job-notes" rows="3" placeholder="Recruiter name, interview dates, salary discussed..."></textarea>
+                    <button id="save-job-notes" class="btn btn-secondary btn-small">Save Notes</button>
+                </div>
+                
+                <div class="job-info-section">
+                    <h4>Timeline</h4>
+                    <ul id="job-timeline" class="job-timeline">${this.renderJobTimeline(job)}</ul>
+                </div>
                 
                 <div class="job-info-section">
                     <h4>Job Information</h4>
                     <p><strong>Date Found:</strong> ${new Date(job.dateFound).toLocaleDateString()}</p>
-                    <p><strong>Job URL:</strong> <a href="${job.url}" target="_blank">${job.url}</a></p>
+                    <p><strong>Profile:</strong> ${escapeHtml(this.profileName(job.profileId))}</p>
+                    <p><strong>Job URL:</strong> <a href="${escapeHtml(job.url)}" target="_blank">${escapeHtml(job.url)}</a></p>
+                    ${job.llm ? `<p><strong>Analyzed With:</strong> ${escapeHtml(LLM_PROVIDERS[job.llm.provider]?.label || job.llm.provider)} · ${escapeHtml(job.llm.model)} (temperature ${job.llm.temperature}, max ${job.llm.maxTokens} tokens)</p>` : ''}
+                    ${job.cachedAnalysis ? `<p><strong>Analysis:</strong> <span class="cached-badge">Cached</span> reused from ${new Date(job.cachedAnalysis.createdAt).toLocaleString()}${job.cachedAnalysis.postId !== job.post_id ? ' (made for another posting with the same description)' : ''}, no LLM call</p>` : ''}
+                    ${job.llmUsage ? `<p><strong>LLM Usage:</strong> ${job.llmUsage.calls} call(s) · ${(job.llmUsage.inputTokens + job.llmUsage.outputTokens).toLocaleString()} tokens · ${formatCost(job.llmUsage.cost)}${job.llmUsage.unpricedCalls ? ' (model has no price set)' : ''}</p>` : ''}
+                    ${job.aiAttempts > 1 || job.aiFixes?.length ? `<p><strong>AI Response:</strong> ${job.aiAttempts} attempt(s)${job.aiFixes?.length ? `, repaired: ${escapeHtml(job.aiFixes.join(', '))}` : ''}</p>` : ''}
+                    ${job.skippedByRule ? `<p><strong>Skipped by Rule:</strong> ${escapeHtml(job.skippedByRule.name)} (${escapeHtml(job.skippedByRule.reason)})</p>` : ''}
+                    ${job.autoDecision ? `<p><strong>Auto-Apply:</strong> ${escapeHtml(job.autoDecision.action)} (${escapeHtml(job.autoDecision.reason)})</p>` : ''}
+                    ${job.cvVariant ? `<p><strong>CV Used:</strong> ${escapeHtml(job.cvVariant.name)}</p>` : ''}
+                    ${job.coverLetterTemplate ? `<p><strong>Cover Letter Template:</strong> ${escapeHtml(job.coverLetterTemplate.name)}</p>` : ''}
+                    ${job.cvVariantScores ? `<p><strong>CV Scores:</strong> ${job.cvVariantScores.map(entry => `${escapeHtml(entry.name)}: ${entry.score ?? '–'}%`).join(' · ')}</p>` : ''}
+                    ${job.resumeUsed ? `<p><strong>Resume:</strong> ${escapeHtml(job.resumeUsed.name)} (${escapeHtml(job.resumeUsed.method)})</p>` : ''}
+                    ${job.localScore != null ? `<p><strong>Local Score:</strong> ${job.localScore}%${job.localScoreBasis === 'title' ? ' (title only, description not scraped yet)' : ''}${job.localScoreTerms?.length ? ` · matched: ${escapeHtml(job.localScoreTerms.join(', '))}` : ''}</p>` : ''}
                     ${job.matchScore ? `<p><strong>Match Score:</strong> <span class="match-score score-${job.matchScore >= 70 ? 'high' : job.matchScore >= 50 ? 'medium' : 'low'}">${job.matchScore}%</span></p>` : ''}
                 </div>
                 
+                ${job.metadata ? this.renderJobMetadata(job.metadata) : ''}
+                
                 ${job.description ? `
                 <div class="job-info-section">
                     <h4>Job Description</h4>
-                    <div class="job-description">${job.description}</div>
+                    <div class="job-description">${escapeHtml(job.description)}</div>
                 </div>
                 ` : ''}
                 
                 ${job.coverLetter ? `
                 <div class="job-info-section">
-                    <h4>Generated Cover Letter</h4>
-                    <div class="cover-letter-content">${job.coverLetter}</div>
+                    <h4>Cover Letter${job.coverLetterVersions?.length > 1 ? ` (version ${job.coverLetterVersions.length}, ${job.coverLetterVersions[job.coverLetterVersions.length - 1].source})` : ''}</h4>
+                    <div class="cover-letter-content">${escapeHtml(job.coverLetter)}</div>
+                </div>
+                ` : ''}
+                
+                ${job.screeningAnswers && job.screeningAnswers.length ? `
+                <div class="job-info-section">
+                    <h4>Screening Answers${job.answersApproved ? ' (approved)' : ''}</h4>
+                    <div id="job-screening-answers"></div>
+                </div>
+                ` : ''}
+                
+                ${job.applySteps && job.applySteps.length ? `
+                <div class="job-info-section">
+                    <h4>Easy Apply Steps</h4>
+                    <ol class="apply-steps">
+                        ${job.applySteps.map(step => `<li class="${step.name === job.failedStep && job.status !== 'applied' ? 'failed' : ''}">${escapeHtml(step.name || 'Unknown step')}${step.action ? ` → ${escapeHtml(step.action)}` : ''}</li>`).join('')}
+                    </ol>
                 </div>
                 ` : ''}
                 
                 ${job.error ? `
                 <div class="job-info-section error">
                     <h4>Error</h4>
-                    <p class="error-message">${job.error}</p>
+                    <p class="error-message">${escapeHtml(job.error)}</p>
                 </div>
                 ` : ''}
             </div>
         `;
         
+        // Set as a value so note text is never parsed as markup
+        document.getElementById('job-notes').value = job.notes || '';
+        
+        const screeningAnswers = document.getElementById('job-screening-answers');
+        if (screeningAnswers) {
+            this.renderScreeningAnswers(screeningAnswers, job.screeningAnswers);
+        }
+        
         // Show details view and hide list
         jobListContainer.style.display = 'none';
         jobDetailsContainer.classList.remove('hidden');
@@ -419,6 +1622,28 @@ class JobApplier {
             });
         }
         
+        // Retry failed job button
+        const retryJobBtn = document.getElementById(`retry-job-${index}`);
+        if (retryJobBtn) {
+            retryJobBtn.addEventListener('click', () => {
+                this.retryJob(index);
+            });
+        }
+        
+        const trackingStatus = document.getElementById('tracking-status');
+        if (trackingStatus) {
+            trackingStatus.addEventListener('change', () => {
+                this.sendCommand('SET_JOB_STATUS', { postId: job.post_id, status: trackingStatus.value });
+            });
+        }
+
+        document.getElementById('save-job-notes').addEventListener('click', () => {
+            this.sendCommand('SAVE_JOB_NOTES', { postId: job.post_id, notes: document.getElementById('job-notes').value });
+            this.showStatus('Notes saved.', 'success');
+        });
+
+        this.detailJobId = job.post_id;
+        
         // Toggle star button
         const toggleStarBtn = document.getElementById(`toggle-star-${index}`);
         if (toggleStarBtn) {
@@ -429,7 +1654,65 @@ class JobApplier {
             });
         }
     }
-    
+    
+    /**
+     * One line of the most useful metadata for the job list
+     */
+    metadataSummary(job) {
+        const metadata = job.metadata;
+        if (!metadata) return '';
+
+        const workplace = { remote: 'Remote', hybrid: 'Hybrid', 'on-site': 'On-site' }[metadata.workplaceType];
+        return [
+            workplace,
+            SENIORITY_LABELS[metadata.seniority],
+            metadata.salary && formatSalary(metadata.salary)
+        ].filter(Boolean).join(' · ');
+    }
+
+    renderJobMetadata(metadata) {
+        const years = metadata.yearsOfExperience;
+        const rows = [
+            ['Salary', metadata.salary && formatSalary(metadata.salary)],
+            ['Location', metadata.location],
+            ['Workplace', metadata.workplaceType],
+            ['Seniority', SENIORITY_LABELS[metadata.seniority]],
+            ['Experience', years && (years.max ? `${years.min}–${years.max} years` : `${years.min}+ years`)],
+            ['Required Skills', metadata.requiredSkills?.join(', ')],
+            ['Nice to Have', metadata.niceToHaveSkills?.join(', ')],
+            ['Visa Sponsorship', metadata.visaSponsorship],
+            ['Languages', metadata.languages?.map(entry => entry.level ? `${entry.language} (${entry.level})` : entry.language).join(', ')]
+        ].filter(([, value]) => value);
+
+        if (rows.length === 0) return '';
+
+        return `
+                <div class="job-info-section">
+                    <h4>Job Metadata</h4>
+                    ${rows.map(([label, value]) => `<p><strong>${label}:</strong> ${escapeHtml(value)}</p>`).join('')}
+                </div>
+        `;
+    }
+
+    renderJobTimeline(job) {
+        return jobTimeline(job).map(entry => `
+            <li>${jobStatusLabel(entry.status)}<span class="timeline-date">${entry.at ? new Date(entry.at).toLocaleString() : 'date unknown'}</span></li>
+        `).join('');
+    }
+
+    /**
+     * Keep the open job details in step with status changes, without touching unsaved notes
+     */
+    refreshJobDetails() {
+        const job = this.detailJobId && this.jobQueue.find(candidate => candidate.post_id === this.detailJobId);
+        const statusBadge = document.getElementById('job-detail-status');
+        if (!job || !statusBadge) return;
+
+        statusBadge.className = `job-status status-${job.status}`;
+        statusBadge.textContent = jobStatusLabel(job.status);
+        document.getElementById('job-timeline').innerHTML = this.renderJobTimeline(job);
+    }
+
     /**
      * Hide job details and return to list
      */
@@ -444,6 +1727,8 @@ class JobApplier {
             jobDetailsContainer.classList.add('hidden');
         }
         
+        this.detailJobId = null;
+
         // Clear selection
         document.querySelectorAll('.job-item').forEach(item => {
             item.classList.remove('selected');
@@ -451,89 +1736,125 @@ class JobApplier {
     }
 
     /**
-     * Update background service with current application state
+     * Connect to the background pipeline and render every state update it sends
+     * Reconnects when the service worker restarts
      */
-    async updateBackgroundState() {
-        const state = {
-            isProcessing: this.isProcessing,
-            currentJob: this.currentJob,
-            jobQueue: this.jobQueue
-        };
-        
-        try {
-            await chrome.runtime.sendMessage({
-                type: 'UPDATE_APPLICATION_STATE',
-                state: state
-            });
-            this.logger.debug('Background state updated', state);
-        } catch (error) {
-            this.logger.error('Failed to update background state', error);
-        }
+    connectPipeline() {
+        this.port = chrome.runtime.connect({ name: 'pipeline' });
+
+        this.port.onMessage.addListener((message) => {
+            if (message.type === 'PIPELINE_STATE') {
+                this.applyPipelineState(message.state, message.jobQueue, message.savedSearches, message.llmUsage);
+            }
+        });
+
+        this.port.onDisconnect.addListener(() => {
+            this.logger.warn('Pipeline connection lost, reconnecting');
+            setTimeout(() => this.connectPipeline(), 500);
+        });
     }
 
     /**
-     * Restore application state from background service
+     * Send a command (START, PAUSE, APPROVE, DECLINE, ...) to the background pipeline
      */
-    async restoreApplicationState() {
-        try {
-            const response = await chrome.runtime.sendMessage({
-                type: 'GET_APPLICATION_STATE'
-            });
-            
-            if (response && response.state) {
-                const state = response.state;
-                this.isProcessing = state.isProcessing || false;
-                this.currentJob = state.currentJob || null;
-                
-                if (this.isProcessing && this.currentJob) {
-                    this.logger.info('Restored processing state', {
-                        job: this.currentJob.jobTitle,
-                        isProcessing: this.isProcessing
-                    });
-                    
-                    // Continue processing if needed
-                    setTimeout(() => {
-                        this.continueProcessing();
-                    }, 1000);
-                }
-            }
-        } catch (error) {
-            this.logger.error('Failed to restore application state', error);
-        }
+    sendCommand(command, args = {}) {
+        this.logger.info(`Sending pipeline command ${command}`, args);
+        this.port.postMessage({ type: 'PIPELINE_COMMAND', command, ...args });
     }
 
     /**
-     * Setup listener for background messages
+     * Render a pipeline state update
      */
-    setupBackgroundMessageListener() {
-        chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-            this.logger.debug('Received background message', message);
-            
-            if (message.type === 'CONTINUE_PROCESSING' && message.job) {
-                this.logger.info('Background requested to continue processing', message.job);
-                this.currentJob = message.job;
-                this.isProcessing = true;
-                this.continueProcessing();
+    applyPipelineState(state, jobQueue, savedSearches, llmUsage) {
+        this.pipelineState = state;
+        this.jobQueue = jobQueue || [];
+        this.savedSearches = savedSearches || [];
+        this.llmUsage = llmUsage || {};
+        this.isProcessing = PIPELINE_ACTIVE_PHASES.includes(state.phase) && !state.isPaused;
+        this.currentJob = this.jobQueue.find(job => job.post_id === state.currentJobId) || null;
+
+        this.updateUI();
+        this.refreshJobDetails();
+        this.renderSavedSearches();
+        this.renderLLMUsage();
+
+        this.renderNextAction();
+
+        if (state.phase === 'collecting' && state.collection) {
+            this.updateScrapeProgress(state.collection);
+        } else {
+            this.hideScrapeProgress();
+        }
+
+        if (state.phase === 'reviewing' && this.currentJob) {
+            if (state.reviewStage === 'answers') {
+                this.showAnswerReview(this.currentJob);
+            } else {
+                this.showReviewSection(this.currentJob);
             }
-            
-            return true;
-        });
+        } else {
+            this.hideReviewSection();
+        }
+
+        // The Regenerate button stays busy until the pipeline reports this popup's request as done
+        const regeneration = state.coverLetterRegeneration;
+        if (this.regeneratingCoverLetter && regeneration?.done && regeneration.requestId === this.regenerationRequestId) {
+            this.regeneratingCoverLetter = false;
+            this.regenerationRequestId = null;
+            this.updateRegenerateButton();
+        }
+
+        // Show statuses raised since the popup opened
+        if (state.status && state.status.timestamp > this.lastStatusTimestamp) {
+            this.lastStatusTimestamp = state.status.timestamp;
+            this.showStatus(state.status.message, state.status.type);
+        }
     }
 
     /**
-     * Continue processing after popup was closed/reopened
+     * Download the jobs listed in the Postings tab, with its filters and order
+     * @param {'csv'|'xlsx'|'json'} format
      */
-    async continueProcessing() {
-        if (!this.isProcessing || !this.currentJob) {
+    exportQueue(format) {
+        const jobs = this.postingJobs().map(({ job }) => job);
+        if (jobs.length === 0) {
+            this.showStatus('There are no jobs to export.', 'error');
             return;
         }
-        
-        this.logger.info('Continuing job processing', this.currentJob);
-        this.updateButtons();
-        this.showStatus(`Continuing processing: ${this.currentJob.jobTitle}`, 'info');
-        
-        // Continue with the job queue processing
-        await this.processJobQueue();
+
+        const exporters = {
+            csv: () => [queueToCsv(jobs, this.profiles), 'text/csv'],
+            xlsx: () => [queueToXlsx(jobs, this.profiles), 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+            json: () => [queueToJson(jobs), 'application/json']
+        };
+        const [data, type] = exporters[format]();
+        const url = URL.createObjectURL(new Blob([data], { type }));
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `job-queue-${new Date().toISOString().slice(0, 10)}.${format}`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        this.logger.info('Job queue exported', { format, jobs: jobs.length });
+    }
+
+    /**
+     * Send the jobs of a JSON export to the pipeline, which merges them by post_id
+     */
+    async importQueue(file) {
+        if (!file) return;
+
+        try {
+            const jobs = parseQueueExport(await file.text());
+            this.logger.info('Importing job queue', { name: file.name, jobs: jobs.length });
+            this.sendCommand('IMPORT_QUEUE', { jobs });
+        } catch (error) {
+            this.logger.error('Job queue import failed', error);
+            this.showStatus(`Could not import ${file.name}: ${error.message}`, 'error');
+        } finally {
+            document.getElementById('import-queue').value = '';
+        }
     }
 
     /**
@@ -575,38 +1896,44 @@ class JobApplier {
     }
 
     /**
-     * Process a specific job
+     * Process a specific job in the current tab
      */
     async processSpecificJob(index) {
         const job = this.jobQueue[index];
         this.logger.info(`Processing specific job: ${job.jobTitle}`);
         
-        if (job.status !== 'pending') {
+        if (job.status !== 'pending' && !job.queuedForReview) {
             this.logger.warn('Job is not in pending status', { status: job.status });
             return;
         }
         
-        this.currentJob = job;
-        this.isProcessing = true;
-        
-        // Update background state
-        await this.updateBackgroundState();
-        
-        // Update UI to show processing
-        this.updateButtons();
-        this.showStatus(`Processing job: ${job.jobTitle}`, 'info');
-        
-        // Start the job processing workflow
-        await this.processJobQueue();
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        this.sendCommand('PROCESS_JOB', { postId: job.post_id, tabId: tab.id });
+    }
+
+    /**
+     * Put a failed job back in the queue and process it
+     */
+    async retryJob(index) {
+        const job = this.jobQueue[index];
+        if (job.status !== 'failed') return;
+
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        this.sendCommand('RETRY_JOB', { postId: job.post_id, tabId: tab.id });
+    }
+
+    /**
+     * Return all failed jobs to the pending queue
+     */
+    retryFailedJobs() {
+        this.sendCommand('RETRY_FAILED');
     }
 
     /**
      * Toggle star status for a job
      */
-    async toggleJobStar(index) {
-        this.jobQueue[index].starred = !this.jobQueue[index].starred;
-        await this.saveJobQueue();
-        this.renderJobList();
+    toggleJobStar(index) {
+        this.sendCommand('TOGGLE_STAR', { postId: this.jobQueue[index].post_id });
     }
 
     /**
@@ -647,6 +1974,65 @@ class JobApplier {
         }
     }
 
+    /**
+     * Run the selector registry against the current tab and report what matched
+     */
+    async diagnosePage() {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        if (!tab.url || !tab.url.includes('linkedin.com')) {
+            this.showStatus('Open a LinkedIn page to diagnose selectors.', 'error');
+            return;
+        }
+
+        try {
+            const report = await this.contentClient.request(tab.id, 'diagnoseSelectors');
+            this.logger.info('Selector diagnostics', { url: tab.url, version: LINKEDIN_SELECTORS.version, report });
+            this.renderDiagnostics(report, tab.url);
+        } catch (error) {
+            this.logger.error('Selector diagnostics failed', error);
+            this.showStatus(`Could not diagnose this page: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Render the selector diagnostics report grouped by page area
+     */
+    renderDiagnostics(report, url) {
+        const container = document.getElementById('diagnostics');
+        const areas = [...new Set(report.map(entry => entry.area))];
+        const matchedCount = report.filter(entry => entry.matched).length;
+
+        container.innerHTML = `
+            <div class="diagnostics-header">
+                <strong>Selector health</strong> · registry v${LINKEDIN_SELECTORS.version} · ${matchedCount}/${report.length} matched
+                <button type="button" id="close-diagnostics" class="btn btn-secondary btn-small">Close</button>
+            </div>
+            <div class="diagnostics-url">${url}</div>
+            ${areas.map(area => `
+                <div class="diagnostics-area">
+                    <h4>${area}</h4>
+                    ${report.filter(entry => entry.area === area).map(entry => {
+                        const state = entry.matched ? 'ok' : entry.scopeFound ? 'missing' : 'absent';
+                        const summary = entry.matched
+                            ? `<code>${entry.matched.selector}</code> (${entry.matched.count})`
+                            : entry.scopeFound ? 'No selector matched' : `No ${entry.scope} on this page`;
+                        return `
+                            <details class="diagnostics-entry ${state}">
+                                <summary>${state === 'ok' ? '✅' : state === 'missing' ? '❌' : '➖'} ${entry.label}: ${summary}</summary>
+                                <ol>
+                                    ${entry.results.map(result => `<li><code>${result.selector}</code> ${result.invalid ? 'invalid' : result.count}</li>`).join('')}
+                                </ol>
+                            </details>
+                        `;
+                    }).join('')}
+                </div>
+            `).join('')}
+        `;
+
+        container.classList.remove('hidden');
+        document.getElementById('close-diagnostics').addEventListener('click', () => container.classList.add('hidden'));
+    }
+
     /**
      * Start the job application process
      */
@@ -654,9 +2040,13 @@ class JobApplier {
         this.logger.info('Starting job application process');
         
         // Validate settings
-        const settings = await chrome.storage.local.get(['keywords', 'criteria', 'cv', 'llmToken']);
+        const settings = await chrome.storage.local.get(['llmToken', 'llmSettings']);
+        const profile = await getProfile(this.activeProfileId);
+        const llmProvider = LLM_PROVIDERS[settings.llmSettings?.provider] || LLM_PROVIDERS[DEFAULT_LLM_SETTINGS.provider];
         
-        if (!settings.keywords || !settings.criteria || !settings.cv || !settings.llmToken) {
+        // The profile's own CV is optional when CV library variants can stand in for it
+        const hasCv = cvCandidatesFor(profile, await loadCvVariants()).length > 0;
+        if (!profile.keywords || !profile.criteria || !hasCv || (llmProvider.requiresKey && !settings.llmToken)) {
             this.logger.warn('Missing required settings');
             this.showStatus('Please fill in all settings before starting.', 'error');
             this.switchTab('settings');
@@ -671,625 +2061,243 @@ class JobApplier {
             return;
         }
 
-        this.isProcessing = true;
-        this.isPaused = false;
-        
-        // Update background service with application state
-        await this.updateBackgroundState();
-        
-        this.updateButtons();
-        this.showStatus('Starting job application process...', 'info');
-
-        try {
-            // Inject the job scraping script
-            await this.injectJobScrapingScript(settings.keywords);
-            this.logger.info('Job scraping script injected successfully');
-        } catch (error) {
-            this.logger.error('Error starting application', error);
-            this.showStatus('Error starting application process.', 'error');
-            this.isProcessing = false;
-            this.updateButtons();
-            await this.updateBackgroundState();
-        }
+        // The background pipeline does the work, so it carries on when the popup closes
+        this.sendCommand('START', { tabId: tab.id, profileId: profile.id });
     }
 
     /**
      * Pause the application process
      */
-    async pauseApplication() {
-        this.isPaused = true;
-        this.isProcessing = false;
-        
-        // Update background state
-        await this.updateBackgroundState();
-        
-        this.updateButtons();
-        this.showStatus('Application process paused.', 'info');
-        this.logger.info('Application process paused');
+    pauseApplication() {
+        this.sendCommand('PAUSE');
     }
 
     /**
-     * Inject script to scrape jobs from LinkedIn
+     * Show when the paced loop runs its next job, with a live countdown
      */
-    async injectJobScrapingScript(keywords) {
-        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-
-        await chrome.scripting.executeScript({
-            target: { tabId: tab.id },
-            func: function(keywords) {
-                // Navigate to jobs search if not already there
-                if (!window.location.href.includes('/jobs/search')) {
-                    window.location.href = `https://www.linkedin.com/jobs/search/?keywords=${encodeURIComponent(keywords)}`;
-                    return;
-                }
-
-                // Wait for page to load and then scrape jobs
-                setTimeout(() => {
-                    const jobs = [];
-                    // Updated selectors for current LinkedIn structure
-                    const jobCards = document.querySelectorAll('.jobs-search-results-list li, .scaffold-layout__list-item, [data-job-id], .job-card-container, .jobs-search__results-list li');
-
-                    console.log(`Found ${jobCards.length} job cards`);
-
-                    jobCards.forEach((card, index) => {
-                        try {
-                            // Updated selectors for title
-                            const titleElement = card.querySelector('a[data-control-name*="job"], .job-card-list__title a, h3 a, .job-card-container__link, [data-control-name="job_search_job_title"]');
-                            
-                            // Updated selectors for company
-                            const companyElement = card.querySelector('[data-control-name*="company"], .job-card-container__primary-description, .job-card-container__company-name, .artdeco-entity-lockup__subtitle');
-                            
-                            // Updated selectors for job link
-                            const linkElement = card.querySelector('a[href*="/jobs/view/"], a[data-job-id]');
-
-                            console.log(`Card ${index}:`, {
-                                title: titleElement?.textContent?.trim(),
-                                company: companyElement?.textContent?.trim(),
-                                link: linkElement?.href
-                            });
-
-                            if (titleElement && linkElement) {
-                                const jobUrl = linkElement.href;
-                                let jobId = jobUrl.match(/\/jobs\/view\/(\d+)/)?.[1];
-                                
-                                // Try alternative job ID extraction
-                                if (!jobId) {
-                                    jobId = linkElement.getAttribute('data-job-id') || 
-                                           card.getAttribute('data-job-id') ||
-                                           jobUrl.match(/jobId=(\d+)/)?.[1];
-                                }
-
-                                if (jobId) {
-                                    const companyText = companyElement?.textContent?.trim() || 'Unknown Company';
-                                    
-                                    jobs.push({
-                                        jobTitle: titleElement.textContent.trim(),
-                                        company: companyText,
-                                        url: jobUrl,
-                                        post_id: jobId,
-                                        status: 'pending',
-                                        starred: false,
-                                        dateFound: new Date().toISOString()
-                                    });
-                                    
-                                    console.log(`✅ Added job: ${titleElement.textContent.trim()} at ${companyText}`);
-                                } else {
-                                    console.log(`❌ No job ID found for: ${titleElement.textContent.trim()}`);
-                                }
-                            } else {
-                                console.log(`❌ Missing elements - Title: ${!!titleElement}, Link: ${!!linkElement}`);
-                            }
-                        } catch (error) {
-                            console.error('Error scraping job card:', error);
-                        }
-                    });
-
-                    // Send results back to extension
-                    chrome.runtime.sendMessage({
-                        type: 'JOBS_SCRAPED',
-                        jobs: jobs
-                    });
-                }, 2000);
-            },
-            args: [keywords]
-        });
+    renderNextAction() {
+        const element = document.getElementById('next-action');
+        const { nextActionAt, nextActionReason, isPaused } = this.pipelineState || {};
 
-        // Listen for results from content script
-        chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-            if (message.type === 'JOBS_SCRAPED') {
-                this.handleScrapedJobs(message.jobs);
-            } else if (message.type === 'JOB_DESCRIPTION_SCRAPED') {
-                this.handleJobDescription(message.jobId, message.description);
-            } else if (message.type === 'APPLICATION_SUBMITTED') {
-                this.handleApplicationSubmitted(message.jobId, message.success);
-            }
-        });
-    }
+        clearInterval(this.nextActionTicker);
 
-    /**
-     * Content script function to scrape LinkedIn jobs
-     * This function runs in the context of the LinkedIn page
-     */
-    static scrapeLinkedInJobs(keywords) {
-        // Navigate to jobs search if not already there
-        if (!window.location.href.includes('/jobs/search')) {
-            window.location.href = `https://www.linkedin.com/jobs/search/?keywords=${encodeURIComponent(keywords)}`;
+        if (!nextActionAt || isPaused) {
+            element.classList.add('hidden');
             return;
         }
 
-        // Wait for page to load and then scrape jobs
-        setTimeout(() => {
-            const jobs = [];
-            const jobCards = document.querySelectorAll('.job-search-card, .jobs-search-results-list__item');
-
-            jobCards.forEach((card, index) => {
-                try {
-                    const titleElement = card.querySelector('.job-search-card__title a, .job-search-results-list__item-title a');
-                    const companyElement = card.querySelector('.job-search-card__subtitle-link, .job-search-results-list__item-company');
-                    const linkElement = card.querySelector('a[href*="/jobs/view/"]');
-
-                    if (titleElement && companyElement && linkElement) {
-                        const jobUrl = linkElement.href;
-                        const jobId = jobUrl.match(/\/jobs\/view\/(\d+)/)?.[1];
-
-                        if (jobId) {
-                            jobs.push({
-                                jobTitle: titleElement.textContent.trim(),
-                                company: companyElement.textContent.trim(),
-                                url: jobUrl,
-                                post_id: jobId,
-                                status: 'pending',
-                                starred: false,
-                                dateFound: new Date().toISOString()
-                            });
-                        }
-                    }
-                } catch (error) {
-                    console.error('Error scraping job card:', error);
-                }
-            });
+        const render = () => {
+            const seconds = Math.max(0, Math.round((nextActionAt - Date.now()) / 1000));
+            const countdown = seconds >= 3600 ? `${Math.floor(seconds / 3600)}h ${Math.floor(seconds % 3600 / 60)}m` :
+                              seconds >= 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`;
+            element.textContent = `Next job at ${new Date(nextActionAt).toLocaleTimeString()} (in ${countdown}) · ${nextActionReason}`;
+        };
 
-            // Send results back to extension
-            chrome.runtime.sendMessage({
-                type: 'JOBS_SCRAPED',
-                jobs: jobs
-            });
-        }, 2000);
+        render();
+        element.classList.remove('hidden');
+        this.nextActionTicker = setInterval(render, 1000);
     }
 
     /**
-     * Handle scraped jobs from content script
+     * Show job collection progress in the summary tab
      */
-    async handleScrapedJobs(newJobs) {
-        if (!newJobs || newJobs.length === 0) {
-            this.showStatus('No jobs found. Try different keywords or check if you\'re on the jobs page.', 'error');
-            this.isProcessing = false;
-            this.updateButtons();
-            return;
-        }
-
-        // Filter out duplicates based on post_id
-        const existingIds = new Set(this.jobQueue.map(job => job.post_id));
-        const uniqueJobs = newJobs.filter(job => !existingIds.has(job.post_id));
+    updateScrapeProgress({ page, maxPages, collected, targetJobCount }) {
+        const progress = document.getElementById('scrape-progress');
+        if (!progress) return;
+
+        const ratio = Math.max(page / maxPages, collected / targetJobCount);
+        progress.classList.remove('hidden');
+        document.getElementById('scrape-progress-text').textContent =
+            `Collecting jobs: page ${page} of ${maxPages} (${collected} of ${targetJobCount} new jobs)`;
+        document.getElementById('scrape-progress-bar').style.width = `${Math.min(100, Math.round(ratio * 100))}%`;
+    }
 
-        if (uniqueJobs.length === 0) {
-            this.showStatus('No new jobs found. All jobs are already in the queue.', 'info');
-            this.isProcessing = false;
-            this.updateButtons();
-            return;
+    /**
+     * Hide the job collection progress
+     */
+    hideScrapeProgress() {
+        const progress = document.getElementById('scrape-progress');
+        if (progress) {
+            progress.classList.add('hidden');
         }
-
-        // Add new jobs to queue
-        this.jobQueue.push(...uniqueJobs);
-        await this.saveJobQueue();
-        
-        this.showStatus(`Found ${uniqueJobs.length} new jobs. Starting to process...`, 'success');
-        this.updateUI();
-
-        // Start processing the queue
-        this.processJobQueue();
     }
 
     /**
-     * Process the job queue
+     * Show the review section with job analysis
      */
-    async processJobQueue() {
-        if (this.isPaused) return;
+    showReviewSection(job) {
+        const reviewSection = document.getElementById('review-section');
+        const reviewJobTitle = document.getElementById('review-job-title');
+        const reviewJobCompany = document.getElementById('review-job-company');
+        const reviewMatchScore = document.getElementById('review-match-score');
+        const reviewCoverLetter = document.getElementById('review-cover-letter');
 
-        // Find next pending job
-        const nextJob = this.jobQueue.find(job => job.status === 'pending');
-        
-        if (!nextJob) {
-            this.showStatus('All jobs have been processed!', 'success');
-            this.isProcessing = false;
-            this.updateButtons();
-            return;
+        reviewJobTitle.textContent = job.jobTitle;
+        reviewJobCompany.textContent = job.company;
+
+        // Only replace the text when the job or its current version changes, so edits in progress survive state updates
+        const versionKey = `${job.post_id}:${job.coverLetterVersions?.length || 0}`;
+        if (this.reviewedCoverLetter !== versionKey) {
+            this.reviewedCoverLetter = versionKey;
+            this.compareVersion = null;
+            reviewCoverLetter.value = job.coverLetter || '';
+            document.getElementById('regenerate-instruction').value = '';
         }
+        reviewCoverLetter.readOnly = false;
+        document.getElementById('regenerate-row').classList.remove('hidden');
+        this.updateRegenerateButton();
+        this.renderCoverLetterHistory(job);
 
-        this.currentJob = nextJob;
-        this.showStatus(`Processing: ${nextJob.jobTitle} at ${nextJob.company}`, 'info');
+        document.getElementById('review-answers').classList.add('hidden');
+        document.getElementById('confirm-apply').textContent = 'Confirm & Apply';
 
-        try {
-            // Scrape full job description
-            await this.scrapeJobDescription(nextJob);
-        } catch (error) {
-            console.error('Error processing job:', error);
-            nextJob.status = 'skipped';
-            nextJob.error = error.message;
-            await this.saveJobQueue();
-            this.updateUI();
-            
-            // Continue with next job
-            setTimeout(() => this.processJobQueue(), 1000);
-        }
-    }
+        // Set match score with appropriate styling
+        const scoreClass = job.matchScore >= 70 ? 'score-high' : 
+                          job.matchScore >= 50 ? 'score-medium' : 'score-low';
+        reviewMatchScore.innerHTML = `<span class="match-score ${scoreClass}">Match Score: ${job.matchScore}%</span>`;
 
-    /**
-     * Scrape job description for a specific job
-     */
-    async scrapeJobDescription(job) {
-        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        // Explain why auto-apply left this job for manual review
+        const autoReason = document.getElementById('review-auto-reason');
+        autoReason.textContent = job.autoDecision ? `Auto-apply: ${job.autoDecision.reason}` : '';
+        autoReason.classList.toggle('hidden', !job.autoDecision);
 
-        // Navigate to job posting
-        await chrome.tabs.update(tab.id, { url: job.url });
-
-        // Wait for navigation and inject scraping script
-        setTimeout(async () => {
-            await chrome.scripting.executeScript({
-                target: { tabId: tab.id },
-                func: function(jobId) {
-                    setTimeout(() => {
-                        try {
-                            // Updated selectors based on actual LinkedIn DOM structure
-                            const descriptionSelectors = [
-                                // New LinkedIn structure with dynamic class names
-                                'div[class*="e47ea9c0"] p[class*="f964d113"]',
-                                'span[data-testid="expandable-text-box"]',
-                                'div[class*="_2313fa67"] span[class*="_03951757"]',
-                                // Fallback to more generic selectors
-                                '[data-testid="expandable-text-box"]',
-                                'div[class*="job"] span[tabindex="-1"]',
-                                // Original selectors as fallback
-                                '.jobs-search__job-details--container .jobs-description-content__text',
-                                '.jobs-description-content__text',
-                                '.jobs-box__html-content',
-                                '.jobs-description',
-                                '.job-details-jobs-unified-top-card__job-description',
-                                '.jobs-unified-top-card__job-description',
-                                '[data-job-details="jobDescription"]',
-                                '.job-view-layout .jobs-description',
-                                '.jobs-search__job-details .jobs-description-content__text'
-                            ];
-
-                            let description = '';
-                            console.log('Searching for job description with selectors:', descriptionSelectors);
-                            
-                            for (const selector of descriptionSelectors) {
-                                const element = document.querySelector(selector);
-                                console.log(`Selector "${selector}":`, element ? 'Found' : 'Not found');
-                                if (element) {
-                                    description = element.textContent.trim();
-                                    console.log('Description found with selector:', selector);
-                                    console.log('Description length:', description.length);
-                                    break;
-                                }
-                            }
-                            
-                            // If still no description, use "About the job" heading approach
-                            if (!description) {
-                                console.log('No description found with specific selectors, trying "About the job" approach...');
-                                
-                                // Find "About the job" heading
-                                const aboutJobElement = Array.from(document.querySelectorAll('h2, h3, div')).find(el => 
-                                    el.textContent && el.textContent.toLowerCase().includes('about the job')
-                                );
-                                
-                                if (aboutJobElement) {
-                                    console.log('Found "About the job" element:', aboutJobElement);
-                                    
-                                    // Get the parent container of the heading
-                                    let container = aboutJobElement.parentElement;
-                                    while (container && !container.querySelector('span[tabindex="-1"], span[data-testid="expandable-text-box"]')) {
-                                        container = container.parentElement;
-                                        if (container === document.body) break; // Prevent infinite loop
-                                    }
-                                    
-                                    if (container) {
-                                        // Look for the expandable content span
-                                        const expandableSpan = container.querySelector('span[tabindex="-1"], span[data-testid="expandable-text-box"]');
-                                        if (expandableSpan) {
-                                            description = expandableSpan.textContent.trim();
-                                            console.log('Found full description via "About the job" container search');
-                                            console.log('Description preview:', description.substring(0, 200) + '...');
-                                        }
-                                    }
-                                }
-                                
-                                // Alternative approach: look for the specific structure from your DOM
-                                if (!description) {
-                                    console.log('Trying alternative structure search...');
-                                    
-                                    // Look for the specific pattern: div with multiple classes containing p with expandable span
-                                    const containers = document.querySelectorAll('div[class*="e47ea9c0"], div[class*="_2313fa67"]');
-                                    for (const container of containers) {
-                                        const expandableSpan = container.querySelector('span[tabindex="-1"][data-testid="expandable-text-box"]');
-                                        if (expandableSpan && expandableSpan.textContent.length > 100) { // Ensure it's substantial content
-                                            description = expandableSpan.textContent.trim();
-                                            console.log('Found description via container class search');
-                                            break;
-                                        }
-                                    }
-                                }
-                                
-                                // Last resort: any substantial expandable text
-                                if (!description) {
-                                    const expandableElements = document.querySelectorAll('span[tabindex="-1"]');
-                                    for (const element of expandableElements) {
-                                        const text = element.textContent.trim();
-                                        if (text.length > 200) { // Only consider substantial content
-                                            description = text;
-                                            console.log('Found description via substantial content search');
-                                            break;
-                                        }
-                                    }
-                                }
-                            }
-
-                            if (!description) {
-                                throw new Error('Could not find job description');
-                            }
-
-                            chrome.runtime.sendMessage({
-                                type: 'JOB_DESCRIPTION_SCRAPED',
-                                jobId: jobId,
-                                description: description
-                            });
-                        } catch (error) {
-                            chrome.runtime.sendMessage({
-                                type: 'JOB_DESCRIPTION_SCRAPED',
-                                jobId: jobId,
-                                error: error.message
-                            });
-                        }
-                    }, 2000);
-                },
-                args: [job.post_id]
-            });
-        }, 3000);
+        // Switch to summary tab the first time the review is shown
+        if (!reviewSection.classList.contains('active')) {
+            reviewSection.classList.add('active');
+            this.switchTab('summary');
+        }
     }
 
     /**
-     * Content script to scrape job description (legacy - not used)
+     * Show the proposed screening answers for approval before submitting
      */
-    static scrapeJobDescriptionContent(jobId) {
-        setTimeout(() => {
-            try {
-                // Try multiple selectors for job description
-                const descriptionSelectors = [
-                    '.job-search-description-module__container',
-                    '.jobs-description-content__text',
-                    '.jobs-box__html-content',
-                    '.job-view-layout .jobs-description'
-                ];
-
-                let description = '';
-                for (const selector of descriptionSelectors) {
-                    const element = document.querySelector(selector);
-                    if (element) {
-                        description = element.textContent.trim();
-                        break;
-                    }
-                }
+    showAnswerReview(job) {
+        this.showReviewSection(job);
 
-                if (!description) {
-                    throw new Error('Could not find job description');
-                }
+        this.renderScreeningAnswers(document.getElementById('review-answers-list'), job.screeningAnswers);
 
-                chrome.runtime.sendMessage({
-                    type: 'JOB_DESCRIPTION_SCRAPED',
-                    jobId: jobId,
-                    description: description
-                });
-            } catch (error) {
-                chrome.runtime.sendMessage({
-                    type: 'JOB_DESCRIPTION_SCRAPED',
-                    jobId: jobId,
-                    error: error.message
-                });
-            }
-        }, 2000);
+        document.getElementById('review-answers').classList.remove('hidden');
+        document.getElementById('confirm-apply').textContent = 'Approve Answers & Submit';
+
+        // The cover letter was already filled in on an earlier Easy Apply step
+        document.getElementById('review-cover-letter').readOnly = true;
+        document.getElementById('regenerate-row').classList.add('hidden');
+        document.getElementById('revert-cover-letter').classList.add('hidden');
     }
 
     /**
-     * Handle scraped job description
+     * Fill a container with screening questions and answers
+     * Labels come from the LinkedIn form and answers from the LLM, so both are set as text
      */
-    async handleJobDescription(jobId, description, error) {
-        if (error) {
-            console.error('Error scraping job description:', error);
-            const job = this.jobQueue.find(j => j.post_id === jobId);
-            if (job) {
-                job.status = 'skipped';
-                job.error = error;
-                await this.saveJobQueue();
-                this.updateUI();
-                
-                // Continue with next job
-                setTimeout(() => this.processJobQueue(), 1000);
-            }
-            return;
-        }
-
-        // Update job with description
-        const job = this.jobQueue.find(j => j.post_id === jobId);
-        if (job) {
-            job.description = description;
-            await this.saveJobQueue();
-            
-            // Analyze with AI
-            await this.analyzeJobWithAI(job);
-        }
+    renderScreeningAnswers(container, answers) {
+        container.innerHTML = '';
+        answers.forEach(entry => {
+            const item = document.createElement('div');
+            item.className = `answer-item ${entry.answer === null ? 'unanswered' : ''}`;
+
+            const question = document.createElement('div');
+            question.className = 'answer-question';
+            question.textContent = entry.label;
+
+            const value = document.createElement('div');
+            value.className = 'answer-value';
+            value.textContent = entry.answer === null ? 'No answer proposed' : Array.isArray(entry.answer) ? entry.answer.join(', ') : entry.answer;
+
+            item.append(question, value);
+            container.appendChild(item);
+        });
     }
 
     /**
-     * Analyze job with ChatGPT API
+     * Show the cover letter versions, with the selected one next to the current text
      */
-    async analyzeJobWithAI(job) {
-        try {
-            const settings = await chrome.storage.local.get(['cv', 'criteria', 'llmToken']);
-            
-            const prompt = `
-You are an AI assistant helping with job applications. Please analyze this job posting and provide a response in JSON format.
-
-Job Title: ${job.jobTitle}
-Company: ${job.company}
-Job Description: ${job.description}
-
-User's CV: ${settings.cv}
-User's Criteria: ${settings.criteria}
-
-Please provide a JSON response with:
-1. matchScore: A number from 0-100 indicating how well this job matches the user's profile and criteria
-2. coverLetter: A personalized cover letter for this specific job (keep it concise, 2-3 paragraphs)
-
-Format your response as valid JSON only:
-{
-  "matchScore": number,
-  "coverLetter": "string"
-}
-`;
-
-            const response = await fetch('https://api.openai.com/v1/chat/completions', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${settings.llmToken}`
-                },
-                body: JSON.stringify({
-                    model: 'gpt-3.5-turbo',
-                    messages: [
-                        {
-                            role: 'user',
-                            content: prompt
-                        }
-                    ],
-                    max_tokens: 1000,
-                    temperature: 0.7
-                })
+    renderCoverLetterHistory(job) {
+        const history = document.getElementById('cover-letter-history');
+        const versions = job.coverLetterVersions || [];
+        history.classList.toggle('hidden', versions.length < 2);
+        if (versions.length < 2) return;
+
+        // Compare with the previous version unless another one was picked
+        if (this.compareVersion === null || !versions[this.compareVersion]) {
+            this.compareVersion = versions.length - 2;
+        }
+        const sourceLabels = { ai: 'AI', edited: 'edited', regenerated: 'regenerated', reverted: 'reverted' };
+        const versionLabel = (version, index) => `v${index + 1} · ${sourceLabels[version.source] || version.source}` +
+            `${version.template ? ` · template "${version.template.name}"` : ''}${version.instruction ? `: ${version.instruction}` : ''}`;
+
+        document.getElementById('cover-letter-version-count').textContent = versions.length;
+
+        const list = document.getElementById('cover-letter-versions');
+        list.innerHTML = '';
+        versions.forEach((version, index) => {
+            const chip = document.createElement('button');
+            chip.className = `version-chip ${index === this.compareVersion ? 'selected' : ''}`;
+            chip.textContent = index === versions.length - 1 ? `${versionLabel(version, index)} (current)` : versionLabel(version, index);
+            chip.title = version.at ? new Date(version.at).toLocaleString() : '';
+            chip.addEventListener('click', () => {
+                this.compareVersion = index;
+                this.renderCoverLetterHistory(job);
             });
+            list.appendChild(chip);
+        });
 
-            if (!response.ok) {
-                throw new Error(`API request failed: ${response.status}`);
-            }
-
-            const data = await response.json();
-            const aiResponse = JSON.parse(data.choices[0].message.content);
-
-            // Update job with AI analysis
-            job.matchScore = aiResponse.matchScore;
-            job.coverLetter = aiResponse.coverLetter;
-            job.status = 'reviewing';
-            
-            await this.saveJobQueue();
-            this.updateUI();
-
-            // Show review section
-            this.showReviewSection(job);
+        document.getElementById('compare-version-label').textContent = versionLabel(versions[this.compareVersion], this.compareVersion);
+        document.getElementById('compare-version-text').textContent = versions[this.compareVersion].text;
+        document.getElementById('compare-current-text').textContent = document.getElementById('review-cover-letter').value;
+        document.getElementById('revert-cover-letter').classList.toggle('hidden', this.compareVersion === versions.length - 1);
+    }
 
-        } catch (error) {
-            this.logger.error('Error analyzing job with AI', error);
-            job.status = 'skipped';
-            job.error = `AI analysis failed: ${error.message}`;
-            await this.saveJobQueue();
-            
-            // Only update UI if DOM elements are available
-            try {
-                this.updateUI();
-            } catch (uiError) {
-                this.logger.error('Error updating UI after AI analysis failure', uiError);
-            }
-            
-            // Continue with next job
-            setTimeout(() => this.processJobQueue(), 1000);
-        }
+    updateRegenerateButton() {
+        const button = document.getElementById('regenerate-cover-letter');
+        button.disabled = this.regeneratingCoverLetter;
+        button.textContent = this.regeneratingCoverLetter ? 'Regenerating...' : 'Regenerate';
     }
 
     /**
-     * Show the review section with job analysis
+     * Ask for a new cover letter following the instruction; the current edits are kept as a version first
      */
-    showReviewSection(job) {
-        const reviewSection = document.getElementById('review-section');
-        const reviewJobTitle = document.getElementById('review-job-title');
-        const reviewJobCompany = document.getElementById('review-job-company');
-        const reviewMatchScore = document.getElementById('review-match-score');
-        const reviewCoverLetter = document.getElementById('review-cover-letter');
-
-        reviewJobTitle.textContent = job.jobTitle;
-        reviewJobCompany.textContent = job.company;
-        reviewCoverLetter.value = job.coverLetter;
+    regenerateCoverLetter() {
+        if (!this.currentJob || this.regeneratingCoverLetter) return;
+
+        this.regeneratingCoverLetter = true;
+        this.regenerationRequestId = `regenerate_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+        this.updateRegenerateButton();
+        this.sendCommand('REGENERATE_COVER_LETTER', {
+            requestId: this.regenerationRequestId,
+            instruction: document.getElementById('regenerate-instruction').value,
+            coverLetter: document.getElementById('review-cover-letter').value
+        });
+    }
 
-        // Set match score with appropriate styling
-        const scoreClass = job.matchScore >= 70 ? 'score-high' : 
-                          job.matchScore >= 50 ? 'score-medium' : 'score-low';
-        reviewMatchScore.innerHTML = `<span class="match-score ${scoreClass}">Match Score: ${job.matchScore}%</span>`;
+    revertCoverLetter() {
+        if (!this.currentJob || this.compareVersion === null) return;
 
-        reviewSection.classList.add('active');
-        
-        // Switch to summary tab to show review
-        this.switchTab('summary');
-        
-        // Pause processing
-        this.isProcessing = false;
-        this.updateButtons();
-        
-        this.showStatus('Please review the generated application and decide whether to proceed.', 'info');
+        this.sendCommand('REVERT_COVER_LETTER', {
+            version: this.compareVersion,
+            coverLetter: document.getElementById('review-cover-letter').value
+        });
     }
 
     /**
      * Confirm and apply to the job
      */
-    async confirmApplication() {
+    confirmApplication() {
         if (!this.currentJob) return;
 
+        // The edited cover letter is the one filled in on the application
+        const coverLetter = document.getElementById('review-cover-letter').value;
         this.hideReviewSection();
-        this.currentJob.status = 'applying';
-        await this.saveJobQueue();
-        this.updateUI();
-
-        this.showStatus(`Applying to ${this.currentJob.jobTitle}...`, 'info');
-
-        try {
-            await this.submitApplication(this.currentJob);
-        } catch (error) {
-            console.error('Error submitting application:', error);
-            this.currentJob.status = 'skipped';
-            this.currentJob.error = error.message;
-            await this.saveJobQueue();
-            this.updateUI();
-        }
-
-        // Continue processing queue
-        this.isProcessing = true;
-        this.updateButtons();
-        setTimeout(() => this.processJobQueue(), 2000);
+        this.sendCommand('APPROVE', { coverLetter });
     }
 
     /**
      * Decline the job application
      */
-    async declineApplication() {
+    declineApplication() {
         if (!this.currentJob) return;
 
         this.hideReviewSection();
-        this.currentJob.status = 'skipped';
-        await this.saveJobQueue();
-        this.updateUI();
-
-        this.showStatus(`Skipped ${this.currentJob.jobTitle}`, 'info');
-
-        // Continue processing queue
-        this.isProcessing = true;
-        this.updateButtons();
-        setTimeout(() => this.processJobQueue(), 1000);
+        this.sendCommand('DECLINE');
     }
 
     /**
@@ -1308,197 +2316,6 @@ Format your response as valid JSON only:
         document.getElementById('review-section').classList.remove('active');
     }
 
-    /**
-     * Submit application to LinkedIn
-     */
-    async submitApplication(job) {
-        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-
-        // Navigate to job posting if not already there
-        if (!tab.url.includes(job.post_id)) {
-            await chrome.tabs.update(tab.id, { url: job.url });
-            await new Promise(resolve => setTimeout(resolve, 3000));
-        }
-
-        // Inject application submission script
-        await chrome.scripting.executeScript({
-            target: { tabId: tab.id },
-            func: function(jobId, coverLetterText) {
-                setTimeout(() => {
-                    try {
-                        // Updated selectors for Easy Apply button
-                        const easyApplyButton = document.querySelector(
-                            '.jobs-apply-button--top-card, ' +
-                            '.jobs-apply-button, ' +
-                            '.jobs-s-apply button, ' +
-                            '[data-control-name="jobdetails_topcard_inapply"], ' +
-                            '.jobs-unified-top-card__primary-description-action button, ' +
-                            'button[aria-label*="Easy Apply"], ' +
-                            'button[data-control-name*="apply"], ' +
-                            '.artdeco-button--primary[aria-label*="Apply"]'
-                        );
-                        
-                        if (!easyApplyButton) {
-                            throw new Error('Easy Apply button not found');
-                        }
-
-                        // Click Easy Apply
-                        easyApplyButton.click();
-
-                        // Wait for modal to open and fill form
-                        setTimeout(() => {
-                            try {
-                                // Updated selectors for cover letter field
-                                const coverLetterField = document.querySelector(
-                                    'textarea[name*="coverLetter"], ' +
-                                    'textarea[id*="coverLetter"], ' +
-                                    '.jobs-easy-apply-form-section__grouping textarea, ' +
-                                    'textarea[placeholder*="cover letter"], ' +
-                                    'textarea[aria-label*="cover letter"], ' +
-                                    '.artdeco-text-input--input[data-test-text-entity-list-form-component]'
-                                );
-                                
-                                if (coverLetterField) {
-                                    coverLetterField.value = coverLetterText;
-                                    coverLetterField.dispatchEvent(new Event('input', { bubbles: true }));
-                                    coverLetterField.dispatchEvent(new Event('change', { bubbles: true }));
-                                }
-
-                                // Updated selectors for submit button
-                                const submitButton = document.querySelector(
-                                    '.jobs-easy-apply-modal button[type="submit"], ' +
-                                    '.jobs-easy-apply-modal .artdeco-button--primary, ' +
-                                    'button[aria-label="Submit application"], ' +
-                                    'button[data-control-name="continue_unify"], ' +
-                                    '.artdeco-button--primary[aria-label*="Submit"], ' +
-                                    '.jobs-easy-apply-content button[type="submit"]'
-                                );
-                                
-                                if (submitButton && !submitButton.disabled) {
-                                    submitButton.click();
-                                    
-                                    chrome.runtime.sendMessage({
-                                        type: 'APPLICATION_SUBMITTED',
-                                        jobId: jobId,
-                                        success: true
-                                    });
-                                } else {
-                                    throw new Error('Submit button not found or disabled');
-                                }
-                            } catch (error) {
-                                chrome.runtime.sendMessage({
-                                    type: 'APPLICATION_SUBMITTED',
-                                    jobId: jobId,
-                                    success: false,
-                                    error: error.message
-                                });
-                            }
-                        }, 2000);
-
-                    } catch (error) {
-                        chrome.runtime.sendMessage({
-                            type: 'APPLICATION_SUBMITTED',
-                            jobId: jobId,
-                            success: false,
-                            error: error.message
-                        });
-                    }
-                }, 1000);
-            },
-            args: [job.post_id, job.coverLetter || '']
-        });
-    }
-
-    /**
-     * Content script to submit LinkedIn application
-     */
-    static submitLinkedInApplication(jobId, coverLetter) {
-        setTimeout(() => {
-            try {
-                // Look for Easy Apply button
-                const easyApplyButton = document.querySelector('.jobs-apply-button, .jobs-s-apply button, [data-control-name="jobdetails_topcard_inapply"]');
-                
-                if (!easyApplyButton) {
-                    throw new Error('Easy Apply button not found');
-                }
-
-                // Click Easy Apply
-                easyApplyButton.click();
-
-                // Wait for modal to open and fill form
-                setTimeout(() => {
-                    try {
-                        // Look for cover letter textarea
-                        const coverLetterField = document.querySelector('textarea[name*="coverLetter"], textarea[id*="coverLetter"], .jobs-easy-apply-form-section__grouping textarea');
-                        
-                        if (coverLetterField) {
-                            coverLetterField.value = coverLetter;
-                            coverLetterField.dispatchEvent(new Event('input', { bubbles: true }));
-                        }
-
-                        // Look for submit button
-                        const submitButton = document.querySelector('.jobs-easy-apply-modal button[type="submit"], .jobs-easy-apply-modal .artdeco-button--primary');
-                        
-                        if (submitButton && !submitButton.disabled) {
-                            submitButton.click();
-                            
-                            chrome.runtime.sendMessage({
-                                type: 'APPLICATION_SUBMITTED',
-                                jobId: jobId,
-                                success: true
-                            });
-                        } else {
-                            throw new Error('Submit button not found or disabled');
-                        }
-                    } catch (error) {
-                        chrome.runtime.sendMessage({
-                            type: 'APPLICATION_SUBMITTED',
-                            jobId: jobId,
-                            success: false,
-                            error: error.message
-                        });
-                    }
-                }, 2000);
-
-            } catch (error) {
-                chrome.runtime.sendMessage({
-                    type: 'APPLICATION_SUBMITTED',
-                    jobId: jobId,
-                    success: false,
-                    error: error.message
-                });
-            }
-        }, 1000);
-    }
-
-    /**
-     * Handle application submission result
-     */
-    async handleApplicationSubmitted(jobId, success, error) {
-        const job = this.jobQueue.find(j => j.post_id === jobId);
-        if (!job) return;
-
-        if (success) {
-            job.status = 'applied';
-            job.appliedDate = new Date().toISOString();
-            this.showStatus(`Successfully applied to ${job.jobTitle}!`, 'success');
-        } else {
-            job.status = 'skipped';
-            job.error = error || 'Application submission failed';
-            this.showStatus(`Failed to apply to ${job.jobTitle}: ${error}`, 'error');
-        }
-
-        await this.saveJobQueue();
-        this.updateUI();
-    }
-
-    /**
-     * Save job queue to storage
-     */
-    async saveJobQueue() {
-        await chrome.storage.local.set({ jobQueue: this.jobQueue });
-    }
-
     /**
      * Show status message
      */
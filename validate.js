@@ -10,6 +10,33 @@ const requiredFiles = [
     'popup.html',
     'popup.js',
     'background.js',
+    'lib/logger.js',
+    'lib/selectors.js',
+    'lib/content-client.js',
+    'lib/llm-providers.js',
+    'lib/ai-response.js',
+    'lib/analysis-cache.js',
+    'lib/auto-apply.js',
+    'lib/pacer.js',
+    'lib/usage.js',
+    'lib/saved-searches.js',
+    'lib/profiles.js',
+    'lib/cv-variants.js',
+    'lib/cover-letter.js',
+    'lib/zip.js',
+    'lib/pdf-text.js',
+    'lib/cv-import.js',
+    'lib/queue-io.js',
+    'lib/job-status.js',
+    'lib/job-metadata.js',
+    'lib/local-scorer.js',
+    'lib/rules.js',
+    'lib/pipeline.js',
+    'content/dom.js',
+    'content/scraper.js',
+    'content/easy-apply.js',
+    'content/diagnostics.js',
+    'content/router.js',
     'icons/icon16.png',
     'icons/icon32.png',
     'icons/icon48.png',
@@ -41,6 +68,36 @@ try {
     allFilesExist = false;
 }
 
+// Check the job metadata heuristics against phrasings they have got wrong before
+try {
+    const vm = require('vm');
+    const context = {};
+    vm.runInNewContext(fs.readFileSync('lib/job-metadata.js', 'utf8'), context);
+    const checks = [
+        ['extractVisaSponsorship', ['Visa sponsorship is not available'], 'not offered'],
+        ['extractVisaSponsorship', ['Sponsorship is not offered for this role'], 'not offered'],
+        ['extractVisaSponsorship', ['Sponsorship not provided'], 'not offered'],
+        ['extractVisaSponsorship', ['We are unable to sponsor visas'], 'not offered'],
+        ['extractVisaSponsorship', ['Visa sponsorship is available'], 'offered'],
+        ['extractSeniority', ['Engineer', 'Experience level: Mid-Senior level', null], 'mid'],
+        ['extractSeniority', ['Engineer II', 'Reporting to our VP of Engineering', null], null],
+        ['extractWorkplaceType', ['', "This is not a remote role; you'll work on-site"], 'on-site'],
+        ['extractSalary', ['Salary: 50.000 EUR per year'], { min: 50000, max: 50000, currency: 'EUR', period: 'year' }]
+    ];
+    checks.forEach(([name, args, expected]) => {
+        const actual = context[name](...args);
+        if (JSON.stringify(actual) === JSON.stringify(expected)) {
+            console.log(`✅ ${name}("${args.filter(Boolean).join('", "')}")`);
+        } else {
+            console.log(`❌ ${name}("${args.filter(Boolean).join('", "')}") gave ${JSON.stringify(actual)}, expected ${JSON.stringify(expected)}`);
+            allFilesExist = false;
+        }
+    });
+} catch (error) {
+    console.log(`❌ job metadata check error: ${error.message}`);
+    allFilesExist = false;
+}
+
 if (allFilesExist) {
     console.log('\n🎉 Extension validation passed! Ready to install in Chrome.');
     console.log('\n📝 Next steps:');